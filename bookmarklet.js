@@ -18,4 +18,104 @@ javascript:(function(){
         alert('Popup blocked - please allow popups for this site');
     }
 })();
-*/
\ No newline at end of file
+*/
+// Capture variant - stashes the text selected on the current page in one click
+// The selection is handed over by postMessage only after the popup answers from https://app.stasher.dev
+// with the one-time nonce; the message is pinned to that origin and sent at most once.
+
+// Minified capture bookmarklet (copy this as bookmark URL):
+javascript:(function(){var A='https://app.stasher.dev',t=String(window.getSelection()||'');if(!t.trim()){alert('Select the text to stash first');return;}var n=Array.from(crypto.getRandomValues(new Uint8Array(16)),function(b){return(b+256).toString(16).slice(1);}).join('');var w=window.open(A+'/?capture='+n+'&origin='+encodeURIComponent(location.origin),'stasher','width=800,height=450,resizable=yes,scrollbars=no,status=no,location=no,toolbar=no,menubar=no');if(!w){alert('Popup blocked - please allow popups for this site');return;}function h(e){if(e.source!==w||e.origin!==A||!e.data||e.data.type!=='stasher:ready'||e.data.nonce!==n)return;window.removeEventListener('message',h);w.postMessage({type:'stasher:selection',nonce:n,text:t},A);t=null;}window.addEventListener('message',h);setTimeout(function(){window.removeEventListener('message',h);t=null;},10000);w.focus();})();
+
+// Readable capture version for development:
+/*
+javascript:(function(){
+    var APP_ORIGIN = 'https://app.stasher.dev';
+    var text = String(window.getSelection() || '');
+    if (!text.trim()) {
+        alert('Select the text to stash first');
+        return;
+    }
+    var nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), function(b) {
+        return (b + 256).toString(16).slice(1);
+    }).join('');
+    var popup = window.open(
+        APP_ORIGIN + '/?capture=' + nonce + '&origin=' + encodeURIComponent(location.origin),
+        'stasher',
+        'width=800,height=450,resizable=yes,scrollbars=no,status=no,location=no,toolbar=no,menubar=no'
+    );
+    if (!popup) {
+        alert('Popup blocked - please allow popups for this site');
+        return;
+    }
+    // One-shot: answer only our popup, from the app origin, echoing our nonce
+    function onReady(event) {
+        if (event.source !== popup || event.origin !== APP_ORIGIN || !event.data ||
+            event.data.type !== 'stasher:ready' || event.data.nonce !== nonce) return;
+        window.removeEventListener('message', onReady);
+        popup.postMessage({ type: 'stasher:selection', nonce: nonce, text: text }, APP_ORIGIN);
+        text = null;
+    }
+    window.addEventListener('message', onReady);
+    setTimeout(function() {
+        window.removeEventListener('message', onReady);
+        text = null;
+    }, 10000);
+    popup.focus();
+})();
+*/
+
+// Fill variant - click into a field first; after destashing, "send to page" types the secret into that field
+// The secret goes straight from the popup to this page by postMessage (pinned to this page's origin and
+// checked against the one-time nonce), so it never touches the system clipboard.
+
+// Minified fill bookmarklet (copy this as bookmark URL):
+javascript:(function(){var A='https://app.stasher.dev',f=document.activeElement;if(!f||!(f.isContentEditable||/^(INPUT|TEXTAREA)$/.test(f.tagName))){alert('Click into the field to fill first');return;}var n=Array.from(crypto.getRandomValues(new Uint8Array(16)),function(b){return(b+256).toString(16).slice(1);}).join('');var w=window.open(A+'/?fill='+n+'&origin='+encodeURIComponent(location.origin),'stasher','width=800,height=450,resizable=yes,scrollbars=no,status=no,location=no,toolbar=no,menubar=no');if(!w){alert('Popup blocked - please allow popups for this site');return;}var p=setInterval(function(){if(w.closed)d();},1000);function d(){window.removeEventListener('message',h);clearInterval(p);}function h(e){if(e.source!==w||e.origin!==A||!e.data||e.data.type!=='stasher:fill'||e.data.nonce!==n||typeof e.data.secret!=='string')return;d();f.focus();if(f.isContentEditable){document.execCommand('insertText',false,e.data.secret);}else{Object.getOwnPropertyDescriptor(Object.getPrototypeOf(f),'value').set.call(f,e.data.secret);f.dispatchEvent(new Event('input',{bubbles:true}));f.dispatchEvent(new Event('change',{bubbles:true}));}}window.addEventListener('message',h);w.focus();})();
+
+// Readable fill version for development:
+/*
+javascript:(function(){
+    var APP_ORIGIN = 'https://app.stasher.dev';
+    var field = document.activeElement;
+    if (!field || !(field.isContentEditable || /^(INPUT|TEXTAREA)$/.test(field.tagName))) {
+        alert('Click into the field to fill first');
+        return;
+    }
+    var nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), function(b) {
+        return (b + 256).toString(16).slice(1);
+    }).join('');
+    var popup = window.open(
+        APP_ORIGIN + '/?fill=' + nonce + '&origin=' + encodeURIComponent(location.origin),
+        'stasher',
+        'width=800,height=450,resizable=yes,scrollbars=no,status=no,location=no,toolbar=no,menubar=no'
+    );
+    if (!popup) {
+        alert('Popup blocked - please allow popups for this site');
+        return;
+    }
+    // Stop listening once the popup is closed or the secret has arrived
+    var poll = setInterval(function() {
+        if (popup.closed) done();
+    }, 1000);
+    function done() {
+        window.removeEventListener('message', onFill);
+        clearInterval(poll);
+    }
+    function onFill(event) {
+        if (event.source !== popup || event.origin !== APP_ORIGIN || !event.data ||
+            event.data.type !== 'stasher:fill' || event.data.nonce !== nonce ||
+            typeof event.data.secret !== 'string') return;
+        done();
+        field.focus();
+        if (field.isContentEditable) {
+            document.execCommand('insertText', false, event.data.secret);
+        } else {
+            // Native setter so framework-controlled inputs (React etc.) see the change
+            Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'value').set.call(field, event.data.secret);
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+    window.addEventListener('message', onFill);
+    popup.focus();
+})();
+*/
@@ -1,6 +1,7 @@
 import { build } from 'esbuild';
 import { readFileSync, writeFileSync } from 'fs';
 import { randomBytes } from 'crypto';
+import ts from 'typescript';
 
 // Build the crypto worker first
 const cryptoWorkerBuild = await build({
@@ -69,4 +70,38 @@ await build({
   external: []
 });
 
+// Build the ESM library (StasherClient) with the crypto worker inlined
+await build({
+  entryPoints: ['src/index.ts'],
+  bundle: true,
+  outfile: 'stasher-web.mjs',
+  format: 'esm',
+  target: 'es2022',
+  platform: 'browser',
+  define: {
+    'globalThis.__CRYPTO_WORKER_CODE__': JSON.stringify(cryptoWorkerJS)
+  },
+  minify: false,
+  sourcemap: false,
+  external: []
+});
+
+// Emit type declarations for the library (esbuild strips types)
+const declarationProgram = ts.createProgram(['src/index.ts'], {
+  declaration: true,
+  emitDeclarationOnly: true,
+  outDir: 'types',
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  lib: ['lib.es2022.d.ts', 'lib.dom.d.ts', 'lib.dom.iterable.d.ts'],
+  strict: true,
+  skipLibCheck: true
+});
+const declarationEmit = declarationProgram.emit(undefined, undefined, undefined, true);
+if (declarationEmit.emitSkipped) {
+  throw new Error('Type declaration emit failed');
+}
+writeFileSync('stasher-web.d.ts', "export * from './types/index.js';\n");
+
 console.log('✓ Build complete');
\ No newline at end of file
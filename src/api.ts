@@ -1,17 +1,20 @@
-import {
-    DEFAULT_API_BASE_URL,
-    MAX_SECRET_LENGTH,
-    encrypt,
-    decrypt,
-    createPayload,
-    formatStashToken,
-    decodeStashToken,
-    validateSecretContent,
-    validateSecretLength,
-    validateUUID,
-    zeroArrayBuffer,
-    zeroUint8
-} from './crypto.js';
+import { DEFAULT_API_BASE_URL } from './crypto.js';
+import { StasherClient } from './client.js';
+import type { EnstashOptions, DestashOptions, RequestOptions, UnstashOptions, SplitOptions, StashStatus } from './client.js';
+import type { StashFile } from './crypto.js';
+
+export type {
+    EnstashOptions,
+    DestashOptions,
+    RequestOptions,
+    UnstashOptions,
+    SplitOptions,
+    RetryNotice,
+    PassphrasePrompt,
+    StashState,
+    StashStatus
+} from './client.js';
+export type { StashFile } from './crypto.js';
 
 // Allow API base URL override via query string for testing/dev
 function getApiBaseUrl(): string {
@@ -19,135 +22,37 @@ function getApiBaseUrl(): string {
     return urlParams.get('api') || DEFAULT_API_BASE_URL;
 }
 
-export async function performEnstash(secret: string, options?: { signal?: AbortSignal }): Promise<string> {
-    if (!validateSecretContent(secret)) {
-        throw new Error('Secret cannot be empty or whitespace only');
-    }
-    
-    if (!validateSecretLength(secret)) {
-        throw new Error(`Secret too long (max ${MAX_SECRET_LENGTH} characters)`);
-    }
-    
-    try {
-        const encryptionResult = await encrypt(secret);
-        const payload = createPayload(encryptionResult);
-        
-        const response = await fetch(`${getApiBaseUrl()}/enstash`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-            signal: options?.signal
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.status} ${errorText}`);
-        }
-        
-        const result = await response.json();
-        const token = formatStashToken(result.id, encryptionResult.keyBuffer);
-        
-        // Zero the key buffer after token creation
-        zeroUint8(encryptionResult.keyBuffer);
-        
-        return token;
-        
-    } catch (error) {
-        throw error;
-    } finally {
-        // Clean up crypto worker after encrypt operation
-        const { terminateCryptoManager } = await import('./crypto-manager');
-        terminateCryptoManager();
-    }
+// The popup applies its own 10s budget (withTimeout), so the client timeout is off
+function appClient(): StasherClient {
+    return new StasherClient({ baseUrl: getApiBaseUrl(), timeoutMs: 0 });
+}
+
+export function performEnstash(secret: string, options?: EnstashOptions): Promise<string> {
+    return appClient().enstash(secret, options);
+}
+
+// One stash per share; the tokens come back in share order
+export function performEnstashSplit(secret: string, options: SplitOptions): Promise<string[]> {
+    return appClient().enstashSplit(secret, options);
+}
+
+export function performDestash(token: string, options?: DestashOptions): Promise<string> {
+    return appClient().destash(token, options);
+}
+
+export function performEnstashFile(file: StashFile, options?: EnstashOptions): Promise<string> {
+    return appClient().enstashFile(file, options);
 }
 
-export async function performDestash(token: string, options?: { signal?: AbortSignal }): Promise<string> {
-    try {
-        const { id, keyBuffer } = decodeStashToken(token);
-        
-        if (!validateUUID(id)) {
-            throw new Error('Invalid Stash ID');
-        }
-        
-        const response = await fetch(`${getApiBaseUrl()}/destash/${id}`, {
-            method: 'GET',
-            signal: options?.signal
-        });
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                const message = 'Stash not found';
-                throw new Error(message);
-            }
-            if (response.status === 410) {
-                const errorResponse = await response.json();
-                const errorMessage = errorResponse.error === 'Expired' 
-                    ? 'This stash has expired' 
-                    : 'This stash has already been consumed';
-                throw new Error(errorMessage);
-            }
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.status} ${errorText}`);
-        }
-        
-        const payload = await response.json();
-        const secret = await decrypt(payload, keyBuffer);
-        
-        // Zero the key buffer after decryption (burn-after-read)
-        zeroUint8(keyBuffer);
-        
-        return secret;
-        
-    } catch (error) {
-        throw error;
-    } finally {
-        // Clean up crypto worker after decrypt operation (burn-after-read for worker too)
-        const { terminateCryptoManager } = await import('./crypto-manager');
-        terminateCryptoManager();
-    }
+export function performDestashFile(token: string, options?: DestashOptions): Promise<StashFile> {
+    return appClient().destashFile(token, options);
 }
 
-export async function performUnstash(tokenOrId: string, options?: { signal?: AbortSignal }): Promise<string> {
-    try {
-        let id: string;
-        if (tokenOrId.includes(':')) {
-            const { id: extractedId } = decodeStashToken(tokenOrId);
-            id = extractedId;
-        } else {
-            id = tokenOrId;
-        }
-        
-        if (!validateUUID(id)) {
-            throw new Error('Invalid Stash ID');
-        }
-        
-        const response = await fetch(`${getApiBaseUrl()}/unstash/${id}`, {
-            method: 'DELETE',
-            signal: options?.signal
-        });
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                const message = 'Stash not found';
-                throw new Error(message);
-            }
-            if (response.status === 410) {
-                const errorResponse = await response.json();
-                const errorMessage = errorResponse.error === 'Expired' 
-                    ? 'This stash has expired' 
-                    : 'This stash has already been consumed';
-                throw new Error(errorMessage);
-            }
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.status} ${errorText}`);
-        }
-        
-        const result = await response.json();
-        const message = `Secret deleted: ${result.id}`;
-        
-        return message;
-        
-    } catch (error) {
-        throw error;
-    }
-}
\ No newline at end of file
+export function performUnstash(tokenOrId: string, options?: UnstashOptions): Promise<string> {
+    return appClient().unstash(tokenOrId, options);
+}
+
+// Non-consuming check: learn whether a stash still exists without burning it
+export function performStatus(tokenOrId: string, options?: RequestOptions): Promise<StashStatus> {
+    return appClient().status(tokenOrId, options);
+}
@@ -0,0 +1,1004 @@
+// Stasher API client - encrypts locally, talks to the Stasher API, never sends keys
+import {
+    DEFAULT_API_BASE_URL,
+    MAX_SECRET_LENGTH,
+    MAX_INFLATED_SECRET_BYTES,
+    MAX_COMPRESSED_SECRET_BYTES,
+    MAX_FILE_BYTES,
+    MAX_FILE_NAME_LENGTH,
+    MAX_SINGLE_FILE_BYTES,
+    CHUNK_BYTES,
+    MAX_CHUNKS,
+    KEY_LENGTH,
+    CIPHER_SUITE_AES256GCM,
+    MIN_PASSPHRASE_LENGTH,
+    MAX_PASSPHRASE_ATTEMPTS,
+    MIN_TTL_SECONDS,
+    MAX_TTL_SECONDS,
+    MAX_VIEWS,
+    encrypt,
+    decrypt,
+    encryptFile,
+    decryptFile,
+    createPayload,
+    deriveChunkId,
+    sha256Base64Url,
+    encodeKey,
+    base64UrlToBytes,
+    formatStashToken,
+    decodeStashToken,
+    tryDecodeStashToken,
+    hasTokenFlag,
+    stashAad,
+    generateStashId,
+    TOKEN_FLAGS,
+    TOKEN_VERSION,
+    TOKEN_VERSION_LEGACY,
+    validateSecretContent,
+    validateSecretLength,
+    validatePassphrase,
+    validateTtl,
+    validateMaxViews,
+    validateUUID,
+    parsePayload,
+    isPassphraseProtected,
+    zeroArrayBuffer,
+    zeroUint8
+} from './crypto.js';
+import type { CryptoOptions, EncryptionResult, PayloadData, StashFile, StashTokenData } from './crypto.js';
+import { splitSecret } from './shamir.js';
+import {
+    StasherError,
+    NotFoundError,
+    ConsumedError,
+    ExpiredError,
+    RateLimitedError,
+    PayloadInvalidError,
+    NetworkError,
+    TimeoutError,
+    AbortedError,
+    DecryptFailedError,
+    InvalidInputError,
+    ApiError,
+    isStasherError
+} from './errors.js';
+import type { DecryptFailureReason } from './errors.js';
+
+// Asked for the passphrase of a protected stash; resolve null to give up
+export type PassphrasePrompt = (attempt: number, maxAttempts: number) => Promise<string | null>;
+
+// Error bodies are JSON ({"error": "...", "message": "..."}) from every status, but may be plain text
+interface ErrorBody {
+    error?: string;
+    message?: string;
+}
+
+async function readErrorBody(response: Response): Promise<ErrorBody> {
+    let text = '';
+    try {
+        text = await response.text();
+    } catch {
+        return {};
+    }
+    try {
+        const data = JSON.parse(text);
+        if (data && typeof data === 'object') {
+            return {
+                error: typeof data.error === 'string' ? data.error : undefined,
+                message: typeof data.message === 'string' ? data.message : undefined
+            };
+        }
+    } catch {
+        // Not JSON - fall through to the raw text
+    }
+    return { message: text.slice(0, 200) || undefined };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header: string | null): number | undefined {
+    if (!header) return undefined;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+    const date = Date.parse(header);
+    if (Number.isFinite(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    return undefined;
+}
+
+// 410 Gone carries {"error": "Expired"} or a consumed marker
+function isExpiredBody(body: ErrorBody): boolean {
+    return body.error === 'Expired';
+}
+
+async function throwStashError(response: Response): Promise<never> {
+    const body = await readErrorBody(response);
+    const detail = body.message ?? body.error;
+    const { status } = response;
+    
+    if (status === 404) {
+        throw new NotFoundError();
+    }
+    if (status === 410) {
+        throw isExpiredBody(body) ? new ExpiredError() : new ConsumedError();
+    }
+    if (status === 429) {
+        throw new RateLimitedError(detail ?? 'Too many requests', parseRetryAfter(response.headers.get('Retry-After')));
+    }
+    if (status === 400 || status === 413 || status === 422) {
+        throw new PayloadInvalidError(`Server rejected the request${detail ? `: ${detail}` : ''}`, { status });
+    }
+    throw new ApiError(`API error: ${status}${detail ? ` ${detail}` : ''}`, status);
+}
+
+// Map fetch/abort failures onto typed errors (timeout vs user abort vs network)
+function toTransportError(error: unknown, signal?: AbortSignal): StasherError {
+    if (isStasherError(error)) return error;
+    
+    const isTimeout = (value: any) => value === 'timeout' || value?.name === 'TimeoutError';
+    const reason = signal?.aborted ? signal.reason : undefined;
+    if (isTimeout(reason) || isTimeout(error)) {
+        return new TimeoutError('Request timed out', { cause: error });
+    }
+    if (signal?.aborted || (error as any)?.name === 'AbortError') {
+        return new AbortedError('Operation cancelled', { cause: error });
+    }
+    return new NetworkError('Network error - could not reach the Stasher API', { cause: error });
+}
+
+// How freely a request may be repeated:
+//  'rejected'   - only when the server refused it before doing any work (429)
+//  'idempotent' - also gateway errors and dropped connections; repeating has no extra effect
+//  'keyed'      - idempotent through an Idempotency-Key, so also 409 (the same key is still being processed)
+type RetryMode = 'none' | 'rejected' | 'idempotent' | 'keyed';
+
+export type RetryNotice = (attempt: number, maxAttempts: number) => void;
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    onRetry?: RetryNotice; // Called before each repeat attempt (attempt is 2-based)
+}
+
+export const MAX_REQUEST_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 300;
+const MAX_RETRY_DELAY_MS = 4000; // Longer waits fail fast rather than eat the caller's timeout budget
+const TRANSIENT_STATUSES = new Set([502, 503, 504]);
+
+function isRepeatable(mode: RetryMode): boolean {
+    return mode === 'idempotent' || mode === 'keyed';
+}
+
+function isRetryableStatus(status: number, mode: RetryMode): boolean {
+    if (status === 429) return mode !== 'none';
+    // Elsewhere 409 is a real conflict; only a keyed request can expect it to clear
+    if (status === 409) return mode === 'keyed';
+    return isRepeatable(mode) && TRANSIENT_STATUSES.has(status);
+}
+
+// Retry-After wins over exponential backoff; undefined = too long to wait
+function retryDelay(attempt: number, retryAfterSeconds?: number): number | undefined {
+    if (retryAfterSeconds !== undefined) {
+        const ms = retryAfterSeconds * 1000;
+        return ms <= MAX_RETRY_DELAY_MS ? ms : undefined;
+    }
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    return Math.min(MAX_RETRY_DELAY_MS, backoff + Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(toTransportError(signal.reason, signal));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(toTransportError(signal!.reason, signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function fetchWithRetry(fetchImpl: typeof fetch, url: string, init: RequestInit, mode: RetryMode, onRetry?: RetryNotice): Promise<Response> {
+    const signal = init.signal ?? undefined;
+    const maxAttempts = mode === 'none' ? 1 : MAX_REQUEST_ATTEMPTS;
+    
+    for (let attempt = 1; ; attempt++) {
+        let delay: number | undefined;
+        try {
+            const response = await fetchImpl(url, init);
+            if (attempt >= maxAttempts || !isRetryableStatus(response.status, mode)) {
+                return response;
+            }
+            delay = retryDelay(attempt, parseRetryAfter(response.headers.get('Retry-After')));
+            if (delay === undefined) {
+                return response; // Caller turns it into a typed error with retryAfterSeconds
+            }
+            response.body?.cancel().catch(() => {});
+        } catch (error) {
+            // Timeouts and aborts are final; a dropped connection may have reached the server
+            const failure = toTransportError(error, signal);
+            if (attempt >= maxAttempts || !isRepeatable(mode) || failure.code !== 'network') {
+                throw failure;
+            }
+            delay = retryDelay(attempt);
+        }
+        onRetry?.(attempt + 1, maxAttempts);
+        await sleep(delay!, signal);
+    }
+}
+
+async function readJson(response: Response): Promise<any> {
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new PayloadInvalidError('Malformed server response', { status: response.status, cause: error });
+    }
+}
+
+function decodeToken(token: string): StashTokenData {
+    try {
+        return decodeStashToken(token);
+    } catch (error) {
+        throw new InvalidInputError(error instanceof Error ? error.message : 'Invalid stash token', { cause: error });
+    }
+}
+
+// Accept a full token or a bare stash ID
+function resolveStashId(tokenOrId: string): string {
+    let id: string;
+    if (tokenOrId.includes(':')) {
+        const { id: extractedId, keyBuffer } = decodeToken(tokenOrId);
+        zeroUint8(keyBuffer); // Only the ID is needed
+        id = extractedId;
+    } else {
+        id = tokenOrId.trim();
+    }
+    
+    if (!validateUUID(id)) {
+        throw new InvalidInputError('Invalid Stash ID');
+    }
+    return id;
+}
+
+// Manifest of a chunked file, stored as the bytes of its (file) stash; part i lives at deriveChunkId(manifestId, i)
+interface ChunkManifest {
+    v: number;
+    size: number;    // Total file bytes
+    sha256: string;  // Base64url digest of the reassembled file
+    parts: { key: string; length: number }[];
+}
+
+const CHUNK_MANIFEST_VERSION = 1;
+const B64URL_SHA256_LENGTH = 43;
+
+function parseChunkManifest(bytes: Uint8Array): ChunkManifest {
+    let data: any;
+    try {
+        data = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+    } catch (error) {
+        throw new PayloadInvalidError('Malformed file manifest', { cause: error });
+    }
+    const isLength = (value: unknown, max: number) => Number.isInteger(value) && (value as number) > 0 && (value as number) <= max;
+    if (data?.v !== CHUNK_MANIFEST_VERSION || !isLength(data.size, MAX_FILE_BYTES) ||
+        typeof data.sha256 !== 'string' || data.sha256.length !== B64URL_SHA256_LENGTH ||
+        !Array.isArray(data.parts) || data.parts.length === 0 || data.parts.length > MAX_CHUNKS) {
+        throw new PayloadInvalidError('Malformed file manifest');
+    }
+    let total = 0;
+    for (const part of data.parts) {
+        if (typeof part?.key !== 'string' || !isLength(part.length, CHUNK_BYTES)) {
+            throw new PayloadInvalidError('Malformed file manifest');
+        }
+        let keyLength = 0;
+        try {
+            const key = base64UrlToBytes(part.key);
+            keyLength = key.length;
+            zeroUint8(key);
+        } catch {
+            // Reported below
+        }
+        if (keyLength !== KEY_LENGTH) {
+            throw new PayloadInvalidError('Malformed file manifest: bad part key');
+        }
+        total += part.length;
+    }
+    if (total !== data.size) {
+        throw new PayloadInvalidError('Malformed file manifest: part sizes do not add up');
+    }
+    return data as ChunkManifest;
+}
+
+function isChunkedToken(tokenOrId: string): boolean {
+    if (!tokenOrId.includes(':')) return false;
+    const decoded = tryDecodeStashToken(tokenOrId);
+    if (!decoded) return false;
+    zeroUint8(decoded.keyBuffer); // Only the flags are needed
+    return hasTokenFlag(decoded, TOKEN_FLAGS.CHUNKED);
+}
+
+// Errors meaning "nothing left to delete"
+const GONE_CODES: StasherError['code'][] = ['not_found', 'consumed', 'expired'];
+const CLEANUP_TIMEOUT_MS = 5000;
+
+export interface EnstashOptions extends RequestOptions {
+    passphrase?: string;
+    bindId?: boolean; // Bind the stash ID into the AES-GCM AAD (off by default: the server must store stashes under client IDs)
+    ttl?: number; // Lifetime in seconds (server default when omitted)
+    maxViews?: number; // Destash count before the stash is consumed (default 1)
+    compress?: boolean; // Deflate text first: allows up to 64KB if it compresses to 4KB (off by default - the ratio hints at content)
+}
+
+export interface SplitOptions extends EnstashOptions {
+    shares: number; // Stashes to create, one share each
+    threshold: number; // Shares needed to rebuild the secret
+}
+
+export interface DestashOptions extends RequestOptions {
+    getPassphrase?: PassphrasePrompt;
+}
+
+export interface UnstashOptions extends RequestOptions {
+    chunked?: boolean; // Whether a bare ID is a chunked file (tokens carry this as a flag); unset sweeps for parts to be safe
+}
+
+export type StashState = 'available' | 'consumed' | 'expired' | 'not_found';
+
+export interface StashStatus {
+    id: string;
+    state: StashState;
+    remainingSeconds?: number; // Time left before expiry (available stashes only)
+    remainingViews?: number;
+}
+
+// Crypto backend: the default proxies to the isolated Web Worker; acquire() and release() bracket each operation
+// The file methods are optional so text-only backends keep working (enstashFile/destashFile refuse without them)
+export interface CryptoBackend {
+    encrypt(secret: string, options?: CryptoOptions): Promise<EncryptionResult>;
+    decrypt(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<string>;
+    encryptFile?(file: StashFile, options?: CryptoOptions): Promise<EncryptionResult>;
+    decryptFile?(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<StashFile>;
+    acquire?(): void;
+    release?(): void | Promise<void>;
+}
+
+// Encrypt / decrypt step handed to the shared create and open paths
+type Sealer = (options: CryptoOptions) => Promise<EncryptionResult>;
+type Opener<T> = (payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions) => Promise<T>;
+type FileSealer = (file: StashFile, options: CryptoOptions) => Promise<EncryptionResult>;
+type FileOpener = Opener<StashFile>;
+
+// Operations using the shared worker; the last one to finish terminates it, so overlapping calls keep theirs
+let workerUsers = 0;
+
+export const workerCryptoBackend: CryptoBackend = {
+    encrypt,
+    decrypt,
+    encryptFile,
+    decryptFile,
+    acquire() {
+        workerUsers++;
+    },
+    async release() {
+        workerUsers = Math.max(0, workerUsers - 1);
+        if (workerUsers > 0) return;
+        const { terminateCryptoManager } = await import('./crypto-manager');
+        // Another operation may have started while the module loaded
+        if (workerUsers === 0) terminateCryptoManager();
+    }
+};
+
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+export interface StasherClientConfig {
+    baseUrl?: string;           // API origin (default https://api.stasher.dev)
+    fetch?: typeof fetch;       // Custom fetch implementation (proxies, tests)
+    timeoutMs?: number;         // Per-request budget including retries; 0 disables
+    crypto?: CryptoBackend;
+}
+
+export class StasherClient {
+    readonly baseUrl: string;
+    private readonly fetchImpl: typeof fetch;
+    private readonly timeoutMs: number;
+    private readonly crypto: CryptoBackend;
+
+    constructor(config: StasherClientConfig = {}) {
+        this.baseUrl = (config.baseUrl ?? DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+        // Late-bound so a global fetch is never called detached from its receiver
+        this.fetchImpl = config.fetch ?? ((input, init) => fetch(input, init));
+        this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        this.crypto = config.crypto ?? workerCryptoBackend;
+        
+        if (!Number.isFinite(this.timeoutMs) || this.timeoutMs < 0) {
+            throw new InvalidInputError('timeoutMs must be a non-negative number');
+        }
+    }
+
+    // Link the caller's signal with the client timeout for the whole retry loop
+    private async request(path: string, init: RequestInit, mode: RetryMode, onRetry?: RetryNotice): Promise<Response> {
+        const url = `${this.baseUrl}${path}`;
+        if (!this.timeoutMs) {
+            return fetchWithRetry(this.fetchImpl, url, init, mode, onRetry);
+        }
+        
+        const ctl = new AbortController();
+        const parent = init.signal ?? undefined;
+        const onAbort = () => ctl.abort(parent!.reason);
+        if (parent?.aborted) onAbort();
+        else parent?.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => ctl.abort(new DOMException('Request timed out', 'TimeoutError')), this.timeoutMs);
+        
+        try {
+            return await fetchWithRetry(this.fetchImpl, url, { ...init, signal: ctl.signal }, mode, onRetry);
+        } finally {
+            clearTimeout(timer);
+            parent?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // Worker errors carry a code (passphrase_invalid, payload_mismatch, ...) - surface it as the reason
+    private async decryptPayload<T>(open: Opener<T>, payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions): Promise<T> {
+        try {
+            return await open(payload, keyBuffer, options);
+        } catch (error: any) {
+            // Decrypted fine, but the file header, padding or compressed stream is bad - the payload itself is at fault
+            if (error?.code === 'file_invalid' || error?.code === 'padding_invalid' || error?.code === 'inflate_failed') {
+                throw new PayloadInvalidError(error.message, { cause: error });
+            }
+            const known: DecryptFailureReason[] = ['passphrase_invalid', 'passphrase_required', 'payload_mismatch'];
+            const reason = known.includes(error?.code) ? error.code as DecryptFailureReason : 'unknown';
+            throw new DecryptFailedError(error instanceof Error ? error.message : 'Decryption failed', reason, { cause: error });
+        }
+    }
+
+    private validateCreateOptions(options?: EnstashOptions): string | undefined {
+        const passphrase = options?.passphrase || undefined;
+        if (passphrase !== undefined && !validatePassphrase(passphrase)) {
+            throw new InvalidInputError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        
+        if (options?.ttl !== undefined && !validateTtl(options.ttl)) {
+            throw new InvalidInputError(`Expiry must be between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS} seconds`);
+        }
+        if (options?.maxViews !== undefined && !validateMaxViews(options.maxViews)) {
+            throw new InvalidInputError(`View count must be between 1 and ${MAX_VIEWS}`);
+        }
+        return passphrase;
+    }
+
+    // Seal (bound to the reserved ID, if any) and upload one stash; the caller owns the returned key
+    private async putStash(seal: Sealer, reservedId: string | undefined, passphrase: string | undefined, options?: EnstashOptions): Promise<{ id: string; keyBuffer: Uint8Array }> {
+        // One key per enstash, shared by every attempt, so the server stores at most one stash
+        const idempotencyKey = generateStashId();
+        
+        const encryptionResult = await seal({
+            passphrase,
+            aad: reservedId ? stashAad(reservedId, TOKEN_VERSION) : undefined
+        });
+        const payload = createPayload(encryptionResult);
+        
+        const response = await this.request(`/enstash`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            },
+            body: JSON.stringify({
+                ...(reservedId && { id: reservedId }),
+                ...payload,
+                ...(options?.ttl !== undefined && { ttl: options.ttl }),
+                ...(options?.maxViews !== undefined && { maxViews: options.maxViews })
+            }),
+            signal: options?.signal
+        }, 'keyed', options?.onRetry);
+        
+        if (!response.ok) {
+            zeroUint8(encryptionResult.keyBuffer);
+            await throwStashError(response);
+        }
+        
+        // No need to tell a replayed response from a fresh one: the Idempotency-Key alone makes
+        // every attempt name the same stash, and a reserved ID is checked below either way
+        const result = await readJson(response);
+        
+        if (typeof result?.id !== 'string' || !validateUUID(result.id)) {
+            zeroUint8(encryptionResult.keyBuffer);
+            throw new PayloadInvalidError('Server returned an invalid stash ID', { status: response.status });
+        }
+        
+        // Ciphertext is bound to the reserved ID; any other ID would be undecryptable,
+        // so remove what the server stored instead of leaving an orphan nobody can read or revoke
+        if (reservedId && result.id !== reservedId) {
+            zeroUint8(encryptionResult.keyBuffer);
+            await this.deleteQuietly([result.id]);
+            throw new ApiError('Server did not accept the reserved stash ID (it must store stashes under the client-sent id)', response.status);
+        }
+        
+        return { id: result.id, keyBuffer: encryptionResult.keyBuffer };
+    }
+
+    // Shared by text and file stashes: validate options, upload, mint the token
+    private async createStash(seal: Sealer, kindFlags: number, options?: EnstashOptions): Promise<string> {
+        const passphrase = this.validateCreateOptions(options);
+        
+        // Reserve the ID client-side so it can be authenticated before upload
+        const reservedId = options?.bindId ? generateStashId() : undefined;
+        
+        const { id, keyBuffer } = await this.putStash(seal, reservedId, passphrase, options);
+        
+        let flags = kindFlags;
+        if (passphrase !== undefined) flags |= TOKEN_FLAGS.PASSPHRASE;
+        if (reservedId) flags |= TOKEN_FLAGS.BOUND_ID;
+        const token = formatStashToken(id, keyBuffer, { flags });
+        
+        // Zero the key buffer after token creation
+        zeroUint8(keyBuffer);
+        
+        return token;
+    }
+
+    // Large files: one stash per part, then a manifest stash whose token reaches them all.
+    // Part IDs derive from the manifest ID, so unstash can find them without decrypting anything.
+    private async createChunkedFile(file: StashFile, encryptFile: FileSealer, options?: EnstashOptions): Promise<string> {
+        const passphrase = this.validateCreateOptions(options);
+        // Derived part IDs only work if the server stores stashes under the IDs the client sends
+        if (!options?.bindId) {
+            throw new InvalidInputError(`Files over ${MAX_SINGLE_FILE_BYTES} bytes are chunked, which needs bindId (a server that accepts client stash IDs)`);
+        }
+        const manifestId = generateStashId();
+        const created: string[] = [];
+        const keys: Uint8Array[] = [];
+        
+        try {
+            const parts: ChunkManifest['parts'] = [];
+            for (let offset = 0, index = 0; offset < file.bytes.length; offset += CHUNK_BYTES, index++) {
+                // A copy, not a view: posting a view to the worker would clone the whole file each time
+                const bytes = file.bytes.slice(offset, offset + CHUNK_BYTES);
+                const chunkId = await deriveChunkId(manifestId, index);
+                // Tracked before uploading: a failed upload may still have reached the server
+                created.push(chunkId);
+                // Parts carry no passphrase: their keys are only reachable through the manifest
+                let keyBuffer: Uint8Array;
+                try {
+                    ({ keyBuffer } = await this.putStash(
+                        cryptoOptions => encryptFile({ name: `part-${index}`, type: '', bytes }, cryptoOptions),
+                        chunkId, undefined, options
+                    ));
+                } finally {
+                    zeroUint8(bytes);
+                }
+                keys.push(keyBuffer);
+                parts.push({ key: encodeKey(keyBuffer), length: bytes.length });
+            }
+            
+            const manifest: ChunkManifest = {
+                v: CHUNK_MANIFEST_VERSION,
+                size: file.bytes.length,
+                sha256: await sha256Base64Url(file.bytes),
+                parts
+            };
+            const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+            created.push(manifestId);
+            try {
+                const { keyBuffer } = await this.putStash(
+                    cryptoOptions => encryptFile({ name: file.name, type: file.type, bytes: manifestBytes }, cryptoOptions),
+                    manifestId, passphrase, options
+                );
+                keys.push(keyBuffer);
+            } finally {
+                zeroUint8(manifestBytes);
+            }
+            
+            let flags = TOKEN_FLAGS.FILE | TOKEN_FLAGS.CHUNKED | TOKEN_FLAGS.BOUND_ID;
+            if (passphrase !== undefined) flags |= TOKEN_FLAGS.PASSPHRASE;
+            return formatStashToken(manifestId, keys[keys.length - 1], { flags });
+            
+        } catch (error) {
+            // Roll back, so a half-created file never lingers server-side
+            await this.deleteQuietly(created);
+            throw error;
+        } finally {
+            keys.forEach(zeroUint8);
+        }
+    }
+
+    // Fetch (consuming) and decrypt one stash, checking the payload against its token
+    private async openStash<T>(decoded: StashTokenData, open: Opener<T>, options?: DestashOptions): Promise<T> {
+        const { id, keyBuffer } = decoded;
+        
+        if (!validateUUID(id)) {
+            zeroUint8(keyBuffer);
+            throw new InvalidInputError('Invalid Stash ID');
+        }
+        
+        // Destash consumes the stash - only a 429 (refused before reading) is safe to repeat
+        let response: Response;
+        try {
+            response = await this.request(`/destash/${id}`, {
+                method: 'GET',
+                signal: options?.signal
+            }, 'rejected', options?.onRetry);
+        } catch (error) {
+            zeroUint8(keyBuffer);
+            throw error;
+        }
+        
+        if (!response.ok) {
+            zeroUint8(keyBuffer);
+            await throwStashError(response);
+        }
+        
+        let payload: PayloadData;
+        try {
+            payload = parsePayload(await response.text());
+        } catch (error) {
+            zeroUint8(keyBuffer);
+            throw new PayloadInvalidError(error instanceof Error ? error.message : 'Invalid payload', { cause: error });
+        }
+        
+        // Versioned tokens declare passphrase protection; refuse a payload that disagrees
+        if (decoded.version > TOKEN_VERSION_LEGACY && hasTokenFlag(decoded, TOKEN_FLAGS.PASSPHRASE) !== isPassphraseProtected(payload)) {
+            zeroUint8(keyBuffer);
+            throw new PayloadInvalidError('Payload does not match stash token (passphrase flag mismatch)');
+        }
+        
+        // ID-bound tokens authenticate the stash ID and token version as AAD
+        const aad = hasTokenFlag(decoded, TOKEN_FLAGS.BOUND_ID) ? stashAad(id, decoded.version) : undefined;
+        
+        if (!isPassphraseProtected(payload)) {
+            try {
+                return await this.decryptPayload(open, payload, keyBuffer, { aad });
+            } finally {
+                // Zero the key buffer after decryption (burn-after-read)
+                zeroUint8(keyBuffer);
+            }
+        }
+        
+        // Stash is already consumed server-side, so prompt and retry locally
+        if (!options?.getPassphrase) {
+            zeroUint8(keyBuffer);
+            throw new DecryptFailedError('This stash is passphrase-protected', 'passphrase_required');
+        }
+        try {
+            for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+                const passphrase = await options.getPassphrase(attempt, MAX_PASSPHRASE_ATTEMPTS);
+                if (passphrase === null) {
+                    throw new DecryptFailedError('Passphrase entry cancelled - stash is gone', 'passphrase_required');
+                }
+                try {
+                    return await this.decryptPayload(open, payload, keyBuffer, { passphrase, aad });
+                } catch (error) {
+                    if (!(error instanceof DecryptFailedError) || error.reason !== 'passphrase_invalid' ||
+                        attempt === MAX_PASSPHRASE_ATTEMPTS) {
+                        throw error;
+                    }
+                }
+            }
+            throw new DecryptFailedError('Incorrect passphrase', 'passphrase_invalid');
+        } finally {
+            zeroUint8(keyBuffer);
+        }
+    }
+
+    // Open the manifest, then every part in order; the reassembled bytes must match the manifest digest
+    private async openChunkedFile(decoded: StashTokenData, decryptFile: FileOpener, options?: DestashOptions): Promise<StashFile> {
+        const manifestFile = await this.openStash(decoded, decryptFile, options);
+        const manifest = parseChunkManifest(manifestFile.bytes);
+        zeroUint8(manifestFile.bytes);
+        
+        const output = new Uint8Array(manifest.size);
+        let offset = 0;
+        let index = 0;
+        try {
+            for (; index < manifest.parts.length; index++) {
+                const { key, length } = manifest.parts[index];
+                const part = await this.openStash({
+                    id: await deriveChunkId(decoded.id, index),
+                    keyBuffer: base64UrlToBytes(key),
+                    version: TOKEN_VERSION,
+                    suite: CIPHER_SUITE_AES256GCM,
+                    flags: TOKEN_FLAGS.BOUND_ID
+                }, decryptFile, { signal: options?.signal, onRetry: options?.onRetry });
+                try {
+                    if (part.bytes.length !== length || offset + length > output.length) {
+                        throw new PayloadInvalidError(`File part ${index + 1} has the wrong size`);
+                    }
+                    output.set(part.bytes, offset);
+                    offset += length;
+                } finally {
+                    zeroUint8(part.bytes);
+                }
+            }
+            if (offset !== output.length || await sha256Base64Url(output) !== manifest.sha256) {
+                throw new PayloadInvalidError('Reassembled file does not match its manifest');
+            }
+        } catch (error) {
+            zeroUint8(output);
+            // The manifest is spent, so the unread parts can never be read - don't leave them behind
+            const remaining: string[] = [];
+            for (let rest = index; rest < manifest.parts.length; rest++) {
+                remaining.push(await deriveChunkId(decoded.id, rest));
+            }
+            await this.deleteQuietly(remaining);
+            throw error;
+        }
+        
+        return { name: manifestFile.name, type: manifestFile.type, bytes: output };
+    }
+
+    private async deleteStash(id: string, options?: RequestOptions): Promise<string> {
+        let retried = false;
+        const response = await this.request(`/unstash/${id}`, {
+            method: 'DELETE',
+            signal: options?.signal
+        }, 'idempotent', (attempt, maxAttempts) => {
+            retried = true;
+            options?.onRetry?.(attempt, maxAttempts);
+        });
+        
+        // An earlier attempt may have deleted it before its response was lost
+        if (retried && (response.status === 404 || response.status === 410)) {
+            return `Secret deleted: ${id}`;
+        }
+        if (!response.ok) {
+            await throwStashError(response);
+        }
+        
+        const result = await readJson(response);
+        return `Secret deleted: ${result?.id ?? id}`;
+    }
+
+    // Best-effort cleanup under its own budget - the caller's signal may be what just failed
+    private async deleteQuietly(ids: string[]): Promise<void> {
+        for (const id of ids) {
+            const ctl = new AbortController();
+            const timer = setTimeout(() => ctl.abort(new DOMException('Request timed out', 'TimeoutError')), CLEANUP_TIMEOUT_MS);
+            try {
+                await this.deleteStash(id, { signal: ctl.signal });
+            } catch {
+                // Already gone, or unreachable - the TTL still expires it
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    // Delete a chunked file's parts in order until one is already gone
+    private async deleteChunks(manifestId: string, options?: RequestOptions): Promise<number> {
+        let deleted = 0;
+        for (let index = 0; index < MAX_CHUNKS; index++) {
+            try {
+                await this.deleteStash(await deriveChunkId(manifestId, index), options);
+            } catch (error) {
+                if (isStasherError(error) && GONE_CODES.includes(error.code)) break;
+                throw error;
+            }
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async enstash(secret: string, options?: EnstashOptions): Promise<string> {
+        this.crypto.acquire?.();
+        try {
+            if (!validateSecretContent(secret)) {
+                throw new InvalidInputError('Secret cannot be empty or whitespace only');
+            }
+            
+            const compress = options?.compress === true;
+            if (compress && new TextEncoder().encode(secret).length > MAX_INFLATED_SECRET_BYTES) {
+                throw new InvalidInputError(`Secret too long (max ${MAX_INFLATED_SECRET_BYTES} bytes before compression)`);
+            }
+            if (!compress && !validateSecretLength(secret)) {
+                throw new InvalidInputError(`Secret too long (max ${MAX_SECRET_LENGTH} characters)`);
+            }
+            
+            return await this.createStash(async cryptoOptions => {
+                try {
+                    return await this.crypto.encrypt(secret, { ...cryptoOptions, compress });
+                } catch (error: any) {
+                    if (error?.code === 'secret_too_large') {
+                        throw new InvalidInputError(`Secret too long (must compress to ${MAX_COMPRESSED_SECRET_BYTES} bytes)`, { cause: error });
+                    }
+                    throw error;
+                }
+            }, 0, options);
+        } finally {
+            // Clean up crypto worker after encrypt operation
+            await this.crypto.release?.();
+        }
+    }
+
+    // Split a secret into `shares` text stashes, any `threshold` of which rebuild it (combineSecret in shamir.ts).
+    // All-or-nothing like chunked files: if one upload fails, the shares already stored are unstashed.
+    async enstashSplit(secret: string, options: SplitOptions): Promise<string[]> {
+        if (!validateSecretContent(secret)) {
+            throw new InvalidInputError('Secret cannot be empty or whitespace only');
+        }
+        const passphrase = this.validateCreateOptions(options);
+        const shareTexts = await splitSecret(secret, options?.shares, options?.threshold);
+        let flags = 0;
+        if (passphrase !== undefined) flags |= TOKEN_FLAGS.PASSPHRASE;
+        if (options?.bindId) flags |= TOKEN_FLAGS.BOUND_ID;
+        const created: string[] = [];
+        const tokens: string[] = [];
+        this.crypto.acquire?.();
+        try {
+            for (const text of shareTexts) {
+                const reservedId = options?.bindId ? generateStashId() : undefined;
+                // A reserved ID is tracked before uploading: a failed upload may still have reached the server
+                if (reservedId) created.push(reservedId);
+                const { id, keyBuffer } = await this.putStash(
+                    cryptoOptions => this.crypto.encrypt(text, cryptoOptions),
+                    reservedId, passphrase, options
+                );
+                if (!reservedId) created.push(id);
+                tokens.push(formatStashToken(id, keyBuffer, { flags }));
+                zeroUint8(keyBuffer);
+            }
+            return tokens;
+        } catch (error) {
+            await this.deleteQuietly(created);
+            throw error;
+        } finally {
+            shareTexts.fill('');
+            await this.crypto.release?.();
+        }
+    }
+
+    // Stash a file: bytes, name and type are all encrypted; the token carries the FILE flag.
+    // Files over MAX_SINGLE_FILE_BYTES are split across several stashes (CHUNKED flag).
+    async enstashFile(file: StashFile, options?: EnstashOptions): Promise<string> {
+        const backendEncryptFile = this.crypto.encryptFile;
+        if (!backendEncryptFile) {
+            throw new InvalidInputError('This crypto backend does not support files');
+        }
+        if (!file || !(file.bytes instanceof Uint8Array) || file.bytes.length === 0) {
+            throw new InvalidInputError('File is empty');
+        }
+        if (typeof file.name !== 'string' || !file.name.trim() || file.name.length > MAX_FILE_NAME_LENGTH) {
+            throw new InvalidInputError(`File name must be 1-${MAX_FILE_NAME_LENGTH} characters`);
+        }
+        if (file.bytes.length > MAX_FILE_BYTES) {
+            throw new InvalidInputError(`File too large (max ${MAX_FILE_BYTES} bytes)`);
+        }
+        
+        const encryptFile: FileSealer = async (part, cryptoOptions) => {
+            try {
+                return await backendEncryptFile.call(this.crypto, part, cryptoOptions);
+            } catch (error: any) {
+                if (error?.code === 'file_too_large') {
+                    throw new InvalidInputError(error.message, { cause: error });
+                }
+                throw error;
+            }
+        };
+        
+        this.crypto.acquire?.();
+        try {
+            if (file.bytes.length > MAX_SINGLE_FILE_BYTES) {
+                return await this.createChunkedFile(file, encryptFile, options);
+            }
+            return await this.createStash(cryptoOptions => encryptFile(file, cryptoOptions), TOKEN_FLAGS.FILE, options);
+        } finally {
+            await this.crypto.release?.();
+        }
+    }
+
+    async destash(token: string, options?: DestashOptions): Promise<string> {
+        this.crypto.acquire?.();
+        try {
+            const decoded = decodeToken(token);
+            // Refuse before fetching, so the wrong call doesn't burn the stash
+            if (hasTokenFlag(decoded, TOKEN_FLAGS.FILE)) {
+                zeroUint8(decoded.keyBuffer);
+                throw new InvalidInputError('This stash holds a file - use destashFile()');
+            }
+            return await this.openStash(decoded, (payload, keyBuffer, cryptoOptions) =>
+                this.crypto.decrypt(payload, keyBuffer, cryptoOptions), options);
+        } finally {
+            // Clean up crypto worker after decrypt operation (burn-after-read for worker too)
+            await this.crypto.release?.();
+        }
+    }
+
+    // Counterpart of enstashFile; the caller owns the returned bytes (zero them once saved)
+    async destashFile(token: string, options?: DestashOptions): Promise<StashFile> {
+        const backendDecryptFile = this.crypto.decryptFile;
+        if (!backendDecryptFile) {
+            throw new InvalidInputError('This crypto backend does not support files');
+        }
+        const decryptFile: FileOpener = (payload, keyBuffer, cryptoOptions) =>
+            backendDecryptFile.call(this.crypto, payload, keyBuffer, cryptoOptions);
+        
+        this.crypto.acquire?.();
+        try {
+            const decoded = decodeToken(token);
+            if (!hasTokenFlag(decoded, TOKEN_FLAGS.FILE)) {
+                zeroUint8(decoded.keyBuffer);
+                throw new InvalidInputError('This stash holds text, not a file - use destash()');
+            }
+            if (hasTokenFlag(decoded, TOKEN_FLAGS.CHUNKED)) {
+                return await this.openChunkedFile(decoded, decryptFile, options);
+            }
+            return await this.openStash(decoded, decryptFile, options);
+        } finally {
+            await this.crypto.release?.();
+        }
+    }
+
+    // A chunked file's parts go too - found via its token's flag, or `chunked` for a bare ID.
+    // A bare ID without `chunked` may still be a manifest, so its derived part IDs are swept as well
+    // (a plain stash has none: one extra request that finds nothing).
+    async unstash(tokenOrId: string, options?: UnstashOptions): Promise<string> {
+        try {
+            const id = resolveStashId(tokenOrId);
+            const chunked = options?.chunked ?? (tokenOrId.includes(':') ? isChunkedToken(tokenOrId) : undefined);
+            if (chunked === false) {
+                return await this.deleteStash(id, options);
+            }
+            
+            // Parts outlive a manifest that is already gone (e.g. an earlier, interrupted unstash)
+            let message: string | undefined;
+            let manifestError: unknown;
+            try {
+                message = await this.deleteStash(id, options);
+            } catch (error) {
+                if (!isStasherError(error) || !GONE_CODES.includes(error.code)) throw error;
+                manifestError = error;
+            }
+            const parts = await this.deleteChunks(id, options);
+            if (message === undefined) {
+                if (parts === 0) throw manifestError;
+                message = `Secret deleted: ${id}`;
+            }
+            if (!chunked && parts === 0) return message;
+            return `${message} (${parts} part${parts === 1 ? '' : 's'})`;
+            
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Non-consuming check: learn whether a stash still exists without burning it
+    async status(tokenOrId: string, options?: RequestOptions): Promise<StashStatus> {
+        const id = resolveStashId(tokenOrId);
+        
+        const response = await this.request(`/status/${id}`, {
+            method: 'GET',
+            signal: options?.signal
+        }, 'idempotent', options?.onRetry);
+        
+        // Gone/missing are answers here, not failures
+        if (response.status === 404) {
+            return { id, state: 'not_found' };
+        }
+        if (response.status === 410) {
+            return { id, state: isExpiredBody(await readErrorBody(response)) ? 'expired' : 'consumed' };
+        }
+        if (!response.ok) {
+            await throwStashError(response);
+        }
+        
+        const result = await readJson(response);
+        const status: StashStatus = { id, state: 'available' };
+        
+        // Server may report remaining lifetime as seconds (ttl) or an absolute expiresAt
+        if (Number.isFinite(result?.ttl)) {
+            status.remainingSeconds = Math.max(0, Math.floor(result.ttl));
+        } else if (result?.expiresAt !== undefined) {
+            const expiresAt = new Date(result.expiresAt).getTime();
+            if (Number.isFinite(expiresAt)) {
+                status.remainingSeconds = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+            }
+        }
+        if (Number.isInteger(result?.views) && result.views >= 0) {
+            status.remainingViews = result.views;
+        }
+        
+        return status;
+    }
+}
@@ -0,0 +1,72 @@
+// Clipboard auto-clear - after a delay, overwrite what we copied, but only if it is still there
+// Browsers only grant clipboard access to a focused page, so a due clear waits for focus to return.
+
+export type ClipboardClearOutcome =
+    | 'cleared'       // Our text was still there and has been overwritten
+    | 'replaced'      // Clipboard already holds something else - left alone
+    | 'unverifiable'  // Could not read the clipboard to check (permission denied / unsupported)
+    | 'failed';       // Read fine, but the overwrite was refused
+
+interface PendingClear {
+    text: string;
+    timer: number;
+    onDone: (outcome: ClipboardClearOutcome) => void;
+}
+
+let pending: PendingClear | null = null;
+
+async function clearIfUnchanged(text: string): Promise<ClipboardClearOutcome> {
+    let current: string;
+    try {
+        current = await navigator.clipboard.readText();
+    } catch {
+        return 'unverifiable';
+    }
+    if (current !== text) return 'replaced';
+    try {
+        await navigator.clipboard.writeText('');
+        return 'cleared';
+    } catch {
+        return 'failed';
+    }
+}
+
+async function runClear(entry: PendingClear): Promise<void> {
+    if (pending !== entry) return; // Cancelled or superseded
+    if (!document.hasFocus()) {
+        window.addEventListener('focus', () => void runClear(entry), { once: true });
+        return;
+    }
+    pending = null;
+    const outcome = await clearIfUnchanged(entry.text);
+    entry.text = '';
+    entry.onDone(outcome);
+}
+
+// Remember what we put on the clipboard and clear it after `seconds` (0 = never)
+export function armClipboardClear(text: string, seconds: number, onDone: (outcome: ClipboardClearOutcome) => void): void {
+    cancelClipboardClear();
+    if (!seconds || !text) return;
+    const entry: PendingClear = { text, timer: 0, onDone };
+    entry.timer = window.setTimeout(() => void runClear(entry), seconds * 1000);
+    pending = entry;
+}
+
+export function cancelClipboardClear(): void {
+    if (pending) {
+        clearTimeout(pending.timer);
+        pending.text = '';
+        pending = null;
+    }
+}
+
+// Clear right away instead of waiting (e.g. before the window closes); no-op without focus
+export async function flushClipboardClear(): Promise<void> {
+    const entry = pending;
+    if (!entry || !document.hasFocus()) return;
+    clearTimeout(entry.timer);
+    pending = null;
+    const outcome = await clearIfUnchanged(entry.text);
+    entry.text = '';
+    entry.onDone(outcome);
+}
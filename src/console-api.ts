@@ -0,0 +1,126 @@
+// DevTools console surface (opt-in via ?console) - window.stasher wraps the api.ts operations
+// Secrets are never logged or returned as printable values, so they stay out of console history.
+import { performEnstash, performDestash, performUnstash, performStatus } from './api.js';
+import type { StashStatus } from './api.js';
+import { isStasherError } from './errors.js';
+
+const CONSOLE_TIMEOUT_MS = 10000;
+
+export interface ConsoleEnstashOptions {
+    ttl?: number;
+    maxViews?: number;
+    passphrase?: string;
+}
+
+// Destashed value: prints as a placeholder; the secret is only reachable through the closures
+export interface ConsoleSecret {
+    reveal(): string;
+    copy(): Promise<void>;
+    toString(): string;
+    toJSON(): string;
+}
+
+export interface ConsoleHooks {
+    run<T>(task: () => Promise<T>): Promise<T>; // Marks the app busy (inactivity timer) while a call runs
+    copy(text: string): Promise<string>; // The app's clipboard helper (schedules the auto-clear); returns a status hint
+    promptPassphrase?(attempt: number, maxAttempts: number): Promise<string | null>; // The app's masked passphrase field
+    onEnstashed?(token: string, ttl: number | null): void;
+    onUnstashed?(id: string): void;
+}
+
+const HIDDEN = '[secret hidden - use .reveal() or .copy()]';
+
+function wrapSecret(secret: string, hooks: ConsoleHooks): ConsoleSecret {
+    return Object.freeze({
+        reveal: () => secret,
+        copy: async () => {
+            const hint = await hooks.copy(secret);
+            console.info(`stasher: secret copied to clipboard${hint}`);
+        },
+        toString: () => HIDDEN,
+        toJSON: () => HIDDEN
+    });
+}
+
+function timeoutSignal(): AbortSignal | undefined {
+    return typeof AbortSignal.timeout === 'function' ? AbortSignal.timeout(CONSOLE_TIMEOUT_MS) : undefined;
+}
+
+function logRetry(attempt: number, maxAttempts: number): void {
+    console.info(`stasher: retrying (${attempt}/${maxAttempts})…`);
+}
+
+// Log a short error line (with the stable code) and rethrow for the caller's await
+function report(error: unknown): never {
+    const detail = isStasherError(error) ? `${error.code}: ${error.message}` : String((error as Error)?.message ?? error);
+    console.error(`stasher: ${detail}`);
+    throw error;
+}
+
+const HELP = [
+    'stasher.enstash(value, { ttl?, maxViews?, passphrase? }) -> Promise<token>',
+    'stasher.enstash()                                       -> enstash the clipboard contents',
+    'stasher.destash(token, { passphrase? })                 -> Promise<{ reveal(), copy() }>',
+    'stasher.status(tokenOrId)                               -> Promise<status>  (non-consuming)',
+    'stasher.unstash(tokenOrId)                              -> Promise<message>'
+].join('\n');
+
+export function installConsoleApi(target: Window, hooks: ConsoleHooks): void {
+    const api = Object.freeze({
+        async enstash(value?: string, options: ConsoleEnstashOptions = {}): Promise<string> {
+            // No argument: read the clipboard so the secret never appears in typed console history
+            const secret = value ?? await navigator.clipboard.readText();
+            if (typeof secret !== 'string') {
+                throw new TypeError('stasher.enstash expects a string');
+            }
+            const token = await hooks.run(() => performEnstash(secret, {
+                signal: timeoutSignal(),
+                onRetry: logRetry,
+                passphrase: options.passphrase,
+                ttl: options.ttl,
+                maxViews: options.maxViews
+            })).catch(report);
+            hooks.onEnstashed?.(token, options.ttl ?? null);
+            console.info('stasher: stash token (share this, the secret itself is not logged)');
+            return token;
+        },
+
+        async destash(token: string, options: { passphrase?: string } = {}): Promise<ConsoleSecret> {
+            // Passphrase from options first; further attempts use the app's masked field, never a cleartext prompt()
+            const secret = await hooks.run(() => performDestash(token, {
+                signal: timeoutSignal(),
+                onRetry: logRetry,
+                getPassphrase: async (attempt, maxAttempts) => attempt === 1 && options.passphrase
+                    ? options.passphrase
+                    : hooks.promptPassphrase?.(attempt, maxAttempts) ?? null
+            })).catch(report);
+            console.info('stasher: secret received - call .reveal() or .copy() on the result');
+            return wrapSecret(secret, hooks);
+        },
+
+        status(tokenOrId: string): Promise<StashStatus> {
+            return hooks.run(() => performStatus(tokenOrId, { signal: timeoutSignal(), onRetry: logRetry })).catch(report);
+        },
+
+        async unstash(tokenOrId: string): Promise<string> {
+            const result = await hooks.run(() => performUnstash(tokenOrId, {
+                signal: timeoutSignal(),
+                onRetry: logRetry
+            })).catch(report);
+            hooks.onUnstashed?.(tokenOrId);
+            return result;
+        },
+
+        help(): void {
+            console.info(HELP);
+        }
+    });
+
+    Object.defineProperty(target, 'stasher', {
+        value: api,
+        writable: false,
+        configurable: false,
+        enumerable: false
+    });
+    console.info('stasher: console API enabled - type stasher.help()');
+}
@@ -6,34 +6,69 @@ export interface EncryptionResult {
     iv: Uint8Array;
     ciphertext: Uint8Array;
     tag: Uint8Array;
+    passphrase?: PassphraseParams;
+    compression?: 'deflate-raw';
+    padding?: 1;
+}
+
+// Second encryption layer keyed from a user passphrase (salt/iterations travel with the payload)
+export interface PassphraseParams {
+    kdf: 'PBKDF2-SHA256';
+    salt: string;
+    iterations: number;
+    iv: string;
 }
 
 export interface PayloadData {
     iv: string;
     tag: string;
     ciphertext: string;
+    passphrase?: PassphraseParams;
+    compression?: 'deflate-raw'; // Plaintext was deflated before encryption (authenticated via the AAD)
+    padding?: 1; // Plaintext was padded to a size bucket (version 1; authenticated via the AAD)
 }
 
 export interface StashTokenData {
     id: string;
     keyBuffer: Uint8Array;
+    version: number;
+    suite: string;
+    flags: number;
+}
+
+// File attachment: name and type travel inside the ciphertext, never in the clear
+export interface StashFile {
+    name: string;
+    type: string;
+    bytes: Uint8Array;
 }
 
 // Worker action types for reuse and type safety
-export type CryptoWorkerAction = 'encrypt' | 'decrypt';
+export type CryptoWorkerAction = 'encrypt' | 'decrypt' | 'encryptFile' | 'decryptFile';
 
 // Worker message types
 export interface WorkerRequest {
     id: string;
     action: CryptoWorkerAction;
-    data: EncryptRequest | DecryptRequest;
+    data: EncryptRequest | EncryptFileRequest | DecryptRequest;
 }
 
-export interface EncryptRequest {
+// Per-operation crypto options shared by encrypt and decrypt
+export interface CryptoOptions {
+    passphrase?: string;
+    aad?: string; // Additional authenticated data binding the payload to its stash
+    compress?: boolean; // Deflate text secrets before encrypting (ignored for files)
+}
+
+export interface EncryptRequest extends CryptoOptions {
     secret: string;
 }
 
-export interface DecryptRequest {
+export interface EncryptFileRequest extends CryptoOptions {
+    file: StashFile;
+}
+
+export interface DecryptRequest extends CryptoOptions {
     payload: PayloadData;
     keyBuffer: Uint8Array;
 }
@@ -41,8 +76,9 @@ export interface DecryptRequest {
 export interface WorkerResponse {
     id: string;
     success: boolean;
-    result?: EncryptResult | DecryptResult;
+    result?: EncryptResult | DecryptResult | DecryptFileResult;
     error?: string;
+    code?: string;
 }
 
 export interface EncryptResult {
@@ -54,9 +90,15 @@ export interface DecryptResult {
     secret: string;
 }
 
+export interface DecryptFileResult {
+    file: StashFile;
+}
+
 // Worker management interface
 export interface CryptoWorkerManager {
-    encrypt(secret: string): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }>;
-    decrypt(payload: PayloadData, keyBuffer: Uint8Array): Promise<string>;
+    encrypt(secret: string, options?: CryptoOptions): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }>;
+    decrypt(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<string>;
+    encryptFile(file: StashFile, options?: CryptoOptions): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }>;
+    decryptFile(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<StashFile>;
     terminate(): void;
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
 // Crypto Worker Manager - Proxies crypto operations to isolated Web Worker
-import type { CryptoWorkerManager, PayloadData, WorkerRequest, WorkerResponse, CryptoWorkerAction } from './crypto-interface';
+import type { CryptoWorkerManager, CryptoOptions, PayloadData, StashFile, WorkerRequest, WorkerResponse, CryptoWorkerAction } from './crypto-interface';
 
 class CryptoWorkerManagerImpl implements CryptoWorkerManager {
     private worker: Worker | null = null;
@@ -53,7 +53,12 @@ class CryptoWorkerManagerImpl implements CryptoWorkerManager {
                     if (response.success) {
                         pending.resolve(response.result);
                     } else {
-                        pending.reject(new Error(response.error || 'Unknown worker error'));
+                        const error = new Error(response.error || 'Unknown worker error');
+                        // Preserve the worker's error code (e.g. passphrase_invalid) for callers
+                        if (response.code) {
+                            (error as Error & { code?: string }).code = response.code;
+                        }
+                        pending.reject(error);
                     }
                 }
             };
@@ -108,19 +113,32 @@ class CryptoWorkerManagerImpl implements CryptoWorkerManager {
         });
     }
 
-    async encrypt(secret: string): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }> {
-        const result = await this.sendRequest('encrypt', { secret });
+    async encrypt(secret: string, options: CryptoOptions = {}): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }> {
+        const result = await this.sendRequest('encrypt', { secret, passphrase: options.passphrase, aad: options.aad, compress: options.compress });
         return {
             keyBuffer: result.keyBuffer,
             payload: result.payload
         };
     }
 
-    async decrypt(payload: PayloadData, keyBuffer: Uint8Array): Promise<string> {
-        const result = await this.sendRequest('decrypt', { payload, keyBuffer });
+    async decrypt(payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions = {}): Promise<string> {
+        const result = await this.sendRequest('decrypt', { payload, keyBuffer, passphrase: options.passphrase, aad: options.aad });
         return result.secret;
     }
 
+    async encryptFile(file: StashFile, options: CryptoOptions = {}): Promise<{ keyBuffer: Uint8Array; payload: PayloadData }> {
+        const result = await this.sendRequest('encryptFile', { file, passphrase: options.passphrase, aad: options.aad });
+        return {
+            keyBuffer: result.keyBuffer,
+            payload: result.payload
+        };
+    }
+
+    async decryptFile(payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions = {}): Promise<StashFile> {
+        const result = await this.sendRequest('decryptFile', { payload, keyBuffer, passphrase: options.passphrase, aad: options.aad });
+        return result.file;
+    }
+
     terminate(): void {
         if (this.worker) {
             // Reject all pending requests and clear timeouts
@@ -2,17 +2,31 @@
 // No DOM access, no shared memory with main thread
 
 // Import crypto constants and types
-import type { EncryptionResult, PayloadData, CryptoWorkerAction } from './crypto-interface';
+import type { EncryptionResult, PayloadData, PassphraseParams, CryptoOptions, CryptoWorkerAction, StashFile } from './crypto-interface';
 
 // Constants (duplicated to avoid imports in worker)
 const MAX_SECRET_LENGTH = 4096;
+const MAX_COMPRESSED_SECRET_BYTES = 4096; // A compressed secret must still fit the usual 4 KB
+const MAX_INFLATED_SECRET_BYTES = 65536; // Input cap when compressing, and hard cap when inflating (decompression bombs)
+const COMPRESSION_FORMAT = 'deflate-raw';
+const PADDING_VERSION = 1; // Bucketed 0x80-then-zeros padding; payloads without the flag are unpadded
+const MIN_PADDED_BYTES = 32;
+const PADDING_MARKER = 0x80;
 const MAX_CIPHERTEXT_BYTES = 16384; // Max ciphertext bytes (server limit)
 const KEY_LENGTH = 32;
 const IV_LENGTH = 12;
 const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const PBKDF2_ITERATIONS = 600000; // OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 10000000; // Bound attacker-chosen work factor on decrypt
+const MAX_FILE_NAME_LENGTH = 255;
+const FILE_HEADER_PREFIX = 2; // Big-endian length of the JSON header that precedes the file bytes
+const DEFAULT_FILE_TYPE = 'application/octet-stream';
+const MIME_TYPE_REGEX = /^[a-z0-9][a-z0-9!#$&^_.+-]{0,63}\/[a-z0-9][a-z0-9!#$&^_.+-]{0,63}$/i;
 
 // Utility functions (duplicated to avoid imports)
-function randomBytes(length: number): Uint8Array {
+function randomBytes(length: number): Uint8Array<ArrayBuffer> {
     return crypto.getRandomValues(new Uint8Array(length));
 }
 
@@ -49,7 +63,7 @@ function fromBase64Url(b64url: string): string {
     return b64;
 }
 
-function base64UrlToBytes(base64url: string): Uint8Array {
+function base64UrlToBytes(base64url: string): Uint8Array<ArrayBuffer> {
     if (typeof base64url !== 'string') {
         throw new Error("Invalid base64url input: must be string");
     }
@@ -74,14 +88,202 @@ function base64UrlToBytes(base64url: string): Uint8Array {
     }
 }
 
+// Errors carrying a stable code so the main thread can tell them apart
+function codedError(message: string, code: string): Error {
+    return Object.assign(new Error(message), { code });
+}
+
+// How the plaintext was transformed before encryption - mirrored in the payload
+interface ContentFormat {
+    compression?: typeof COMPRESSION_FORMAT;
+    padding?: typeof PADDING_VERSION;
+}
+
+// Compression and padding also authenticate their flags, so neither can be stripped or added in transit
+function contentAad(aad: string | undefined, format: ContentFormat): string | undefined {
+    let suffix = format.compression ? `#${format.compression}` : '';
+    if (format.padding) suffix += `#pad${format.padding}`;
+    return suffix ? `${aad ?? ''}${suffix}` : aad;
+}
+
+// Bucket for `length` bytes plus the marker: powers of two up to 4 KB, then whole 4 KB steps,
+// never past what the server stores (leaving room for a passphrase layer's tag)
+function paddedLength(length: number): number {
+    const needed = length + 1;
+    let bucket = MIN_PADDED_BYTES;
+    while (bucket < needed && bucket < MAX_SECRET_LENGTH) bucket *= 2;
+    if (bucket < needed) bucket = Math.ceil(needed / MAX_SECRET_LENGTH) * MAX_SECRET_LENGTH;
+    return Math.max(needed, Math.min(bucket, MAX_CIPHERTEXT_BYTES - TAG_LENGTH));
+}
+
+// ISO/IEC 7816-4 style: the bytes, 0x80, then zeros up to the bucket
+function padPlaintext(bytes: Uint8Array): Uint8Array<ArrayBuffer> {
+    const padded = new Uint8Array(paddedLength(bytes.length));
+    padded.set(bytes);
+    padded[bytes.length] = PADDING_MARKER;
+    return padded;
+}
+
+// Length of the content before the padding; authenticated, but checked all the same
+function unpaddedLength(padded: Uint8Array): number {
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) end--;
+    if (end < 0 || padded[end] !== PADDING_MARKER) {
+        throw codedError('Malformed padding', 'padding_invalid');
+    }
+    return end;
+}
+
+// Run bytes through a (de)compression stream; null once the output would pass maxOutput
+async function transformBytes(input: Uint8Array<ArrayBuffer>, transform: CompressionStream | DecompressionStream, maxOutput: number): Promise<Uint8Array<ArrayBuffer> | null> {
+    const writer = transform.writable.getWriter();
+    const reader = transform.readable.getReader();
+    // Write and read concurrently, so backpressure can't stall the pipe
+    const writing = writer.write(input).then(() => writer.close()).catch(() => {});
+    const output = new Uint8Array(maxOutput);
+    let length = 0;
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (length + value.length > maxOutput) {
+                value.fill(0);
+                await reader.cancel().catch(() => {});
+                return null;
+            }
+            output.set(value, length);
+            length += value.length;
+            value.fill(0);
+        }
+        await writing;
+        return output.slice(0, length);
+    } finally {
+        output.fill(0);
+    }
+}
+
+// AES-GCM parameters, with optional AAD binding the ciphertext to its stash
+function gcmParams(iv: Uint8Array<ArrayBuffer>, aad?: string): AesGcmParams {
+    const params: AesGcmParams = {
+        name: 'AES-GCM',
+        iv: iv,
+        tagLength: TAG_LENGTH * 8
+    };
+    if (aad !== undefined) {
+        params.additionalData = new TextEncoder().encode(aad);
+    }
+    return params;
+}
+
+// Derive the passphrase wrapping key (PBKDF2-HMAC-SHA256 -> AES-256-GCM)
+async function derivePassphraseKey(
+    passphrase: string,
+    salt: Uint8Array<ArrayBuffer>,
+    iterations: number,
+    usage: KeyUsage
+): Promise<CryptoKey> {
+    const passphraseBytes = new TextEncoder().encode(passphrase);
+    try {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            passphraseBytes,
+            { name: 'PBKDF2' },
+            false,
+            ['deriveKey']
+        );
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // never extractable
+            [usage]
+        );
+    } finally {
+        passphraseBytes.fill(0);
+    }
+}
+
+// Wrap inner ciphertext||tag with a second, passphrase-derived key
+async function wrapWithPassphrase(
+    inner: Uint8Array<ArrayBuffer>,
+    passphrase: string
+): Promise<{ params: PassphraseParams; wrapped: Uint8Array<ArrayBuffer> }> {
+    const salt = randomBytes(SALT_LENGTH);
+    const iv = randomBytes(IV_LENGTH);
+    const wrapKey = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+    
+    const wrapped = await crypto.subtle.encrypt(
+        {
+            name: 'AES-GCM',
+            iv: iv,
+            tagLength: TAG_LENGTH * 8
+        },
+        wrapKey,
+        inner
+    );
+    
+    return {
+        params: {
+            kdf: 'PBKDF2-SHA256',
+            salt: arrayBufferToBase64Url(salt),
+            iterations: PBKDF2_ITERATIONS,
+            iv: arrayBufferToBase64Url(iv)
+        },
+        wrapped: new Uint8Array(wrapped)
+    };
+}
+
+// Remove the passphrase layer, returning inner ciphertext||tag
+async function unwrapWithPassphrase(
+    wrapped: Uint8Array<ArrayBuffer>,
+    params: PassphraseParams,
+    passphrase: string
+): Promise<Uint8Array<ArrayBuffer>> {
+    if (params.kdf !== 'PBKDF2-SHA256') {
+        throw new Error('Unsupported passphrase KDF');
+    }
+    if (!Number.isInteger(params.iterations) ||
+        params.iterations < MIN_PBKDF2_ITERATIONS ||
+        params.iterations > MAX_PBKDF2_ITERATIONS) {
+        throw new Error('Invalid passphrase iteration count');
+    }
+    
+    const salt = base64UrlToBytes(params.salt);
+    const iv = base64UrlToBytes(params.iv);
+    if (salt.length !== SALT_LENGTH) {
+        throw new Error(`Invalid passphrase salt length: must be ${SALT_LENGTH} bytes`);
+    }
+    if (iv.length !== IV_LENGTH) {
+        throw new Error(`Invalid passphrase IV length: must be ${IV_LENGTH} bytes`);
+    }
+    
+    const unwrapKey = await derivePassphraseKey(passphrase, salt, params.iterations, 'decrypt');
+    try {
+        const inner = await crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: iv,
+                tagLength: TAG_LENGTH * 8
+            },
+            unwrapKey,
+            wrapped
+        );
+        return new Uint8Array(inner);
+    } catch {
+        // GCM cannot distinguish a wrong passphrase from tampering; assume the common case
+        throw codedError('Incorrect passphrase', 'passphrase_invalid');
+    }
+}
+
 // Core crypto operations
-async function encryptSecret(secret: string): Promise<EncryptionResult> {
-    // Validate input
-    if (!secret || typeof secret !== 'string') {
-        throw new Error('Invalid secret: must be non-empty string');
+async function encryptPlaintext(plaintext: Uint8Array<ArrayBuffer>, options: CryptoOptions = {}, format: ContentFormat = {}): Promise<EncryptionResult> {
+    const { passphrase, aad } = options;
+
+    if (passphrase !== undefined && (typeof passphrase !== 'string' || !passphrase)) {
+        throw new Error('Invalid passphrase: must be non-empty string');
     }
-    if (secret.length > MAX_SECRET_LENGTH) {
-        throw new Error(`Secret too long: maximum ${MAX_SECRET_LENGTH} characters`);
+    if (aad !== undefined && (typeof aad !== 'string' || !aad)) {
+        throw new Error('Invalid AAD: must be non-empty string');
     }
 
     // Generate fresh AES-GCM key
@@ -94,32 +296,106 @@ async function encryptSecret(secret: string): Promise<EncryptionResult> {
     const keyBuffer = new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey));
     const iv = randomBytes(IV_LENGTH);
     
-    const encoder = new TextEncoder();
-    const secretBytes = encoder.encode(secret);
-    
     const encrypted = await crypto.subtle.encrypt(
-        {
-            name: 'AES-GCM',
-            iv: iv,
-            tagLength: TAG_LENGTH * 8
-        },
+        gcmParams(iv, contentAad(aad, format)),
         cryptoKey,
-        secretBytes
+        plaintext
     );
     
-    const encryptedArray = new Uint8Array(encrypted);
+    let encryptedArray = new Uint8Array(encrypted);
+    let passphraseParams: PassphraseParams | undefined;
+    
+    // Optional second layer: the token alone is not enough to read the secret
+    if (passphrase !== undefined) {
+        const { params, wrapped } = await wrapWithPassphrase(encryptedArray, passphrase);
+        encryptedArray.fill(0);
+        encryptedArray = wrapped;
+        passphraseParams = params;
+    }
+    
     const ciphertext = encryptedArray.slice(0, -TAG_LENGTH);
     const tag = encryptedArray.slice(-TAG_LENGTH);
+    encryptedArray.fill(0);
     
     return {
         keyBuffer,
         iv,
         ciphertext,
-        tag
+        tag,
+        passphrase: passphraseParams,
+        compression: format.compression,
+        padding: format.padding
     };
 }
 
-async function decryptSecret(payload: PayloadData, keyBuffer: Uint8Array): Promise<string> {
+async function encryptSecret(secret: string, options: CryptoOptions = {}): Promise<EncryptionResult> {
+    // Validate input
+    if (!secret || typeof secret !== 'string') {
+        throw new Error('Invalid secret: must be non-empty string');
+    }
+    if (!options.compress && secret.length > MAX_SECRET_LENGTH) {
+        throw new Error(`Secret too long: maximum ${MAX_SECRET_LENGTH} characters`);
+    }
+
+    const secretBytes = new TextEncoder().encode(secret);
+    let content: Uint8Array<ArrayBuffer> | null = secretBytes;
+    let padded: Uint8Array<ArrayBuffer> | null = null;
+    try {
+        if (options.compress) {
+            if (secretBytes.length > MAX_INFLATED_SECRET_BYTES) {
+                throw codedError(`Secret too long: maximum ${MAX_INFLATED_SECRET_BYTES} bytes before compression`, 'secret_too_large');
+            }
+            content = await transformBytes(secretBytes, new CompressionStream(COMPRESSION_FORMAT), MAX_COMPRESSED_SECRET_BYTES);
+            if (!content) {
+                throw codedError(`Secret too long: does not compress below ${MAX_COMPRESSED_SECRET_BYTES} bytes`, 'secret_too_large');
+            }
+        }
+        // Pad last, so the ciphertext only shows the bucket - not the length or the compressed length
+        padded = padPlaintext(content);
+        return await encryptPlaintext(padded, options, {
+            compression: options.compress ? COMPRESSION_FORMAT : undefined,
+            padding: PADDING_VERSION
+        });
+    } finally {
+        secretBytes.fill(0);
+        content?.fill(0);
+        padded?.fill(0);
+    }
+}
+
+// File plaintext: [header length (2 bytes)][JSON {"name","type"}][file bytes] - name and type stay encrypted
+async function encryptFile(file: StashFile, options: CryptoOptions = {}): Promise<EncryptionResult> {
+    if (!file || typeof file !== 'object' || !(file.bytes instanceof Uint8Array) || file.bytes.length === 0) {
+        throw new Error('Invalid file: must have non-empty contents');
+    }
+    if (typeof file.name !== 'string' || !file.name || file.name.length > MAX_FILE_NAME_LENGTH) {
+        throw new Error(`Invalid file name: must be 1-${MAX_FILE_NAME_LENGTH} characters`);
+    }
+    const type = typeof file.type === 'string' && MIME_TYPE_REGEX.test(file.type) ? file.type : DEFAULT_FILE_TYPE;
+    
+    const header = new TextEncoder().encode(JSON.stringify({ name: file.name, type }));
+    const plaintextLength = FILE_HEADER_PREFIX + header.length + file.bytes.length;
+    // Stored ciphertext is the plaintext plus the inner tag when a passphrase layer wraps it
+    const storedLength = plaintextLength + (options.passphrase !== undefined ? TAG_LENGTH : 0);
+    if (storedLength > MAX_CIPHERTEXT_BYTES) {
+        const room = MAX_CIPHERTEXT_BYTES - (storedLength - file.bytes.length);
+        throw codedError(`File too large: ${file.bytes.length} bytes (max ${Math.max(0, room)} bytes for this file)`, 'file_too_large');
+    }
+    
+    const plaintext = new Uint8Array(plaintextLength);
+    new DataView(plaintext.buffer).setUint16(0, header.length);
+    plaintext.set(header, FILE_HEADER_PREFIX);
+    plaintext.set(file.bytes, FILE_HEADER_PREFIX + header.length);
+    try {
+        return await encryptPlaintext(plaintext, options);
+    } finally {
+        plaintext.fill(0);
+    }
+}
+
+async function decryptPlaintext(payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions = {}): Promise<Uint8Array<ArrayBuffer>> {
+    const { passphrase, aad } = options;
+
     // Validate inputs
     if (!payload || typeof payload !== 'object') {
         throw new Error('Invalid payload');
@@ -147,30 +423,127 @@ async function decryptSecret(payload: PayloadData, keyBuffer: Uint8Array): Promi
         ['decrypt']
     );
     
-    const encryptedData = new Uint8Array(ciphertext.byteLength + tag.byteLength);
+    let encryptedData = new Uint8Array(ciphertext.byteLength + tag.byteLength);
     encryptedData.set(new Uint8Array(ciphertext));
     encryptedData.set(new Uint8Array(tag), ciphertext.byteLength);
     
-    const decrypted = await crypto.subtle.decrypt(
-        {
-            name: 'AES-GCM',
-            iv: iv,
-            tagLength: TAG_LENGTH * 8
-        },
-        cryptoKey,
-        encryptedData
-    );
+    // Peel the passphrase layer first (outer tag covers the inner ciphertext||tag)
+    if (payload.passphrase) {
+        if (typeof passphrase !== 'string' || !passphrase) {
+            throw codedError('Passphrase required', 'passphrase_required');
+        }
+        const inner = await unwrapWithPassphrase(encryptedData, payload.passphrase, passphrase);
+        encryptedData.fill(0);
+        encryptedData = inner;
+        if (encryptedData.length < TAG_LENGTH) {
+            throw new Error('Invalid payload: wrapped ciphertext too short');
+        }
+    }
+    
+    let decrypted: ArrayBuffer;
+    try {
+        decrypted = await crypto.subtle.decrypt(
+            gcmParams(iv, contentAad(aad, payload)),
+            cryptoKey,
+            encryptedData
+        );
+    } catch (error) {
+        // With the stash ID in the AAD, a failed tag means the payload was swapped or altered
+        if (aad !== undefined) {
+            throw codedError('Payload does not belong to this stash', 'payload_mismatch');
+        }
+        throw error;
+    } finally {
+        encryptedData.fill(0);
+    }
     
-    const decoder = new TextDecoder('utf-8');
-    return decoder.decode(decrypted);
+    return new Uint8Array(decrypted);
+}
+
+async function decryptSecret(payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions = {}): Promise<string> {
+    if (payload?.compression !== undefined && payload.compression !== COMPRESSION_FORMAT) {
+        throw codedError('Unsupported payload compression', 'inflate_failed');
+    }
+    if (payload?.padding !== undefined && payload.padding !== PADDING_VERSION) {
+        throw codedError('Unsupported payload padding', 'padding_invalid');
+    }
+    let plaintext = await decryptPlaintext(payload, keyBuffer, options);
+    try {
+        // Older payloads carry no padding flag and decrypt as before
+        if (payload.padding) {
+            const content = plaintext.slice(0, unpaddedLength(plaintext));
+            plaintext.fill(0);
+            plaintext = content;
+        }
+        if (payload.compression) {
+            // Authenticated, but still capped: the sender controls the ratio
+            let inflated: Uint8Array<ArrayBuffer> | null;
+            try {
+                inflated = await transformBytes(plaintext, new DecompressionStream(COMPRESSION_FORMAT), MAX_INFLATED_SECRET_BYTES);
+            } catch {
+                throw codedError('Malformed compressed secret', 'inflate_failed');
+            }
+            if (!inflated) {
+                throw codedError(`Compressed secret inflates past ${MAX_INFLATED_SECRET_BYTES} bytes`, 'inflate_failed');
+            }
+            plaintext.fill(0);
+            plaintext = inflated;
+        }
+        return new TextDecoder('utf-8').decode(plaintext);
+    } finally {
+        plaintext.fill(0);
+    }
+}
+
+async function decryptFile(payload: PayloadData, keyBuffer: Uint8Array, options: CryptoOptions = {}): Promise<StashFile> {
+    // Files are never compressed or padded
+    if (payload?.compression !== undefined || payload?.padding !== undefined) {
+        throw codedError('Malformed file payload: unexpected compression or padding', 'file_invalid');
+    }
+    const plaintext = await decryptPlaintext(payload, keyBuffer, options);
+    try {
+        // Authenticated by GCM, but still parsed defensively - the sender chose these bytes
+        const headerLength = plaintext.length >= FILE_HEADER_PREFIX
+            ? new DataView(plaintext.buffer, plaintext.byteOffset).getUint16(0)
+            : -1;
+        if (headerLength <= 0 || FILE_HEADER_PREFIX + headerLength > plaintext.length) {
+            throw codedError('Malformed file header', 'file_invalid');
+        }
+        let header: any;
+        try {
+            header = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(plaintext.subarray(FILE_HEADER_PREFIX, FILE_HEADER_PREFIX + headerLength)));
+        } catch {
+            throw codedError('Malformed file header', 'file_invalid');
+        }
+        if (typeof header?.name !== 'string' || !header.name || header.name.length > MAX_FILE_NAME_LENGTH) {
+            throw codedError('Malformed file header: invalid name', 'file_invalid');
+        }
+        return {
+            name: header.name,
+            type: typeof header.type === 'string' && MIME_TYPE_REGEX.test(header.type) ? header.type : DEFAULT_FILE_TYPE,
+            bytes: plaintext.slice(FILE_HEADER_PREFIX + headerLength)
+        };
+    } finally {
+        plaintext.fill(0);
+    }
 }
 
 function createPayload(encryptionResult: EncryptionResult): PayloadData {
-    return {
+    const payload: PayloadData = {
         iv: arrayBufferToBase64Url(encryptionResult.iv),
         tag: arrayBufferToBase64Url(encryptionResult.tag),
         ciphertext: arrayBufferToBase64Url(encryptionResult.ciphertext)
     };
+    if (encryptionResult.passphrase) {
+        payload.passphrase = encryptionResult.passphrase;
+    }
+    if (encryptionResult.compression) {
+        payload.compression = encryptionResult.compression;
+    }
+    if (encryptionResult.padding) {
+        payload.padding = encryptionResult.padding;
+    }
+    return payload;
 }
 
 // Secure memory clearing utility
@@ -231,7 +604,7 @@ self.onmessage = async (event: MessageEvent) => {
         
         switch (action) {
             case 'encrypt':
-                const encryptionResult = await encryptSecret(data.secret);
+                const encryptionResult = await encryptSecret(data.secret, { passphrase: data.passphrase, aad: data.aad, compress: data.compress === true });
                 const payload = createPayload(encryptionResult);
                 result = {
                     keyBuffer: encryptionResult.keyBuffer,
@@ -247,10 +620,32 @@ self.onmessage = async (event: MessageEvent) => {
                 if (data.secret && typeof data.secret === 'string') {
                     data.secret = '[cleared]';
                 }
+                if (data.passphrase && typeof data.passphrase === 'string') {
+                    data.passphrase = '[cleared]';
+                }
+                break;
+                
+            case 'encryptFile':
+                const fileResult = await encryptFile(data.file, { passphrase: data.passphrase, aad: data.aad });
+                result = {
+                    keyBuffer: fileResult.keyBuffer,
+                    payload: createPayload(fileResult)
+                };
+                
+                secureWipe(fileResult.iv);
+                secureWipe(fileResult.ciphertext);
+                secureWipe(fileResult.tag);
+                
+                // The worker got its own copy of the file bytes - wipe it
+                secureWipe(data.file?.bytes instanceof Uint8Array ? data.file.bytes : null);
+                data.file = null;
+                if (data.passphrase && typeof data.passphrase === 'string') {
+                    data.passphrase = '[cleared]';
+                }
                 break;
                 
             case 'decrypt':
-                const decrypted = await decryptSecret(data.payload, data.keyBuffer);
+                const decrypted = await decryptSecret(data.payload, data.keyBuffer, { passphrase: data.passphrase, aad: data.aad });
                 result = {
                     secret: decrypted
                 };
@@ -265,6 +660,23 @@ self.onmessage = async (event: MessageEvent) => {
                 }
                 data.keyBuffer = null;
                 data.payload = null;
+                data.passphrase = null;
+                break;
+                
+            case 'decryptFile':
+                result = {
+                    file: await decryptFile(data.payload, data.keyBuffer, { passphrase: data.passphrase, aad: data.aad })
+                };
+                
+                secureWipe(data.keyBuffer);
+                if (data.payload) {
+                    if (data.payload.iv) data.payload.iv = '[cleared]';
+                    if (data.payload.tag) data.payload.tag = '[cleared]';
+                    if (data.payload.ciphertext) data.payload.ciphertext = '[cleared]';
+                }
+                data.keyBuffer = null;
+                data.payload = null;
+                data.passphrase = null;
                 break;
                 
             default:
@@ -272,7 +684,7 @@ self.onmessage = async (event: MessageEvent) => {
         }
         
         // Send result back to main thread with transfer optimization
-        if (action === 'encrypt') {
+        if (action === 'encrypt' || action === 'encryptFile') {
             // Zero-copy transfer of keyBuffer to main thread
             self.postMessage({
                 id,
@@ -283,6 +695,13 @@ self.onmessage = async (event: MessageEvent) => {
             // Zero the original keyBuffer in worker after transfer
             result.keyBuffer.fill(0);
             result.keyBuffer = null;
+        } else if (action === 'decryptFile') {
+            // Hand the file bytes over rather than leaving a copy in the worker
+            self.postMessage({
+                id,
+                success: true,
+                result
+            }, [result.file.bytes.buffer]);
         } else {
             self.postMessage({
                 id,
@@ -296,7 +715,8 @@ self.onmessage = async (event: MessageEvent) => {
         self.postMessage({
             id,
             success: false,
-            error: error instanceof Error ? error.message : 'Unknown crypto worker error'
+            error: error instanceof Error ? error.message : 'Unknown crypto worker error',
+            code: typeof (error as any)?.code === 'string' ? (error as any).code : undefined
         });
     }
 };
\ No newline at end of file
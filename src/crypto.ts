@@ -1,14 +1,48 @@
 // Constants (from CLI constants.ts)
 export const MAX_SECRET_LENGTH = 4096; // 4KB plaintext
+export const MAX_COMPRESSED_SECRET_BYTES = 4096; // Compressed secrets must deflate to within the same 4KB
+export const MAX_INFLATED_SECRET_BYTES = 65536; // 64KB before compression - also the hard cap when inflating
 export const MAX_CIPHERTEXT_BYTES = 16384; // Max ciphertext bytes (server limit)
+export const MAX_FILE_NAME_LENGTH = 255;
+export const CHUNK_BYTES = 12288; // File bytes per part; leaves room for the name/type header and passphrase layer
+export const MAX_CHUNKS = 64;
+export const MAX_SINGLE_FILE_BYTES = CHUNK_BYTES; // Larger files are split across several stashes
+export const MAX_FILE_BYTES = CHUNK_BYTES * MAX_CHUNKS; // 768 KB
 export const DEFAULT_API_BASE_URL = Object.freeze('https://api.stasher.dev'); // Prevent accidental override
 export const KEY_LENGTH = 32; // 256-bit key
 export const IV_LENGTH = 12; // 96-bit IV for GCM
 export const TAG_LENGTH = 16; // 128-bit auth tag
+export const SALT_LENGTH = 16; // 128-bit PBKDF2 salt
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const MAX_PASSPHRASE_LENGTH = 1024;
+export const MAX_PASSPHRASE_ATTEMPTS = 3; // Payload is already consumed, so retries are local only
+export const MIN_TTL_SECONDS = 60; // 1 minute
+export const MAX_TTL_SECONDS = 604800; // 7 days
+export const DEFAULT_MAX_VIEWS = 1; // Burn after first read
+export const MAX_VIEWS = 10;
 
 // UUID v4 validation regex (same as CLI)
 export const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
+// Stash token grammar
+//   v1 (legacy): <uuid>:<key>
+//   v2+:         v<version>.<suite>.<flags>:<uuid>:<key>
+// <suite> names the cipher suite, <flags> is a two-digit lowercase hex bitfield.
+// Tokens without features are still emitted as v1 so older CLIs keep working.
+export const TOKEN_VERSION_LEGACY = 1;
+export const TOKEN_VERSION = 2;
+export const SUPPORTED_TOKEN_VERSIONS: readonly number[] = Object.freeze([TOKEN_VERSION_LEGACY, TOKEN_VERSION]);
+export const CIPHER_SUITE_AES256GCM = 'a256gcm';
+export const SUPPORTED_CIPHER_SUITES: readonly string[] = Object.freeze([CIPHER_SUITE_AES256GCM]);
+export const TOKEN_FLAGS = Object.freeze({
+    PASSPHRASE: 0x01, // Payload carries a passphrase layer; prompt before decrypting
+    BOUND_ID: 0x02,   // Stash ID and token version are bound into the AES-GCM AAD
+    FILE: 0x04,       // Plaintext is a file (encrypted name/type header + bytes), not text
+    CHUNKED: 0x08     // File manifest: the bytes live in part stashes whose IDs derive from this one
+});
+const KNOWN_TOKEN_FLAGS = Object.values(TOKEN_FLAGS).reduce((all, flag) => all | flag, 0);
+const TOKEN_HEADER_REGEX = /^v([0-9]{1,3})\.([a-z0-9]{1,16})\.([0-9a-f]{2})$/;
+
 // Base64url validation regex and helpers
 const B64URL = /^[A-Za-z0-9_-]+$/;
 const b64urlLen = (s: string) => {
@@ -28,17 +62,51 @@ export interface EncryptionResult {
     iv: Uint8Array;
     ciphertext: Uint8Array;
     tag: Uint8Array;
+    passphrase?: PassphraseParams;
+    compression?: 'deflate-raw';
+    padding?: 1;
+}
+
+export interface PassphraseParams {
+    kdf: 'PBKDF2-SHA256';
+    salt: string;
+    iterations: number;
+    iv: string;
 }
 
 export interface PayloadData {
     iv: string;
     tag: string;
     ciphertext: string;
+    passphrase?: PassphraseParams;
+    compression?: 'deflate-raw';
+    padding?: 1;
 }
 
 export interface StashTokenData {
     id: string;
     keyBuffer: Uint8Array;
+    version: number;
+    suite: string;
+    flags: number;
+}
+
+export interface CryptoOptions {
+    passphrase?: string;
+    aad?: string;
+    compress?: boolean;
+}
+
+export interface StashFile {
+    name: string;
+    type: string;
+    bytes: Uint8Array;
+}
+
+export interface StashTokenOptions {
+    version?: number;
+    suite?: string;
+    flags?: number;
 }
 
 // Utility functions
@@ -101,12 +169,67 @@ function fromBase64Url(b64url: string): string {
     return b64;
 }
 
-export function formatStashToken(id: string, keyBuffer: Uint8Array): string {
+export function formatStashToken(id: string, keyBuffer: Uint8Array, options: StashTokenOptions = {}): string {
     if (keyBuffer.length !== KEY_LENGTH) {
         throw new Error(`Key must be ${KEY_LENGTH} bytes`);
     }
+    const flags = options.flags ?? 0;
+    const suite = options.suite ?? CIPHER_SUITE_AES256GCM;
+    const version = options.version ?? (flags !== 0 || suite !== CIPHER_SUITE_AES256GCM ? TOKEN_VERSION : TOKEN_VERSION_LEGACY);
+    
     const keyBase64Url = arrayBufferToBase64Url(keyBuffer);
-    return `${id}:${keyBase64Url}`;
+    if (version === TOKEN_VERSION_LEGACY) {
+        if (flags !== 0 || suite !== CIPHER_SUITE_AES256GCM) {
+            throw new Error('Legacy v1 tokens cannot carry a cipher suite or flags');
+        }
+        return `${id}:${keyBase64Url}`;
+    }
+    
+    assertTokenHeader(version, suite, flags);
+    return `${formatTokenHeader(version, suite, flags)}:${id}:${keyBase64Url}`;
+}
+
+function formatTokenHeader(version: number, suite: string, flags: number): string {
+    return `v${version}.${suite}.${flags.toString(16).padStart(2, '0')}`;
+}
+
+function assertTokenHeader(version: number, suite: string, flags: number): void {
+    if (!SUPPORTED_TOKEN_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported stash token version v${version} - update Stasher`);
+    }
+    if (!SUPPORTED_CIPHER_SUITES.includes(suite)) {
+        throw new Error(`Unsupported stash token cipher suite: ${suite}`);
+    }
+    if (!Number.isInteger(flags) || flags < 0 || flags > 0xff) {
+        throw new Error('Invalid stash token: malformed flags');
+    }
+    if ((flags & ~KNOWN_TOKEN_FLAGS) !== 0) {
+        throw new Error('Unsupported stash token features - update Stasher');
+    }
+}
+
+// Split an optional "v<version>.<suite>.<flags>:" header from the id:key body
+function splitTokenHeader(clean: string): { header: { version: number; suite: string; flags: number } | null; body: string } {
+    if (!/^v[0-9]/.test(clean)) {
+        return { header: null, body: clean };
+    }
+    
+    const colonIndex = clean.indexOf(':');
+    const headerText = colonIndex === -1 ? clean : clean.substring(0, colonIndex);
+    const match = TOKEN_HEADER_REGEX.exec(headerText);
+    if (!match || colonIndex === -1) {
+        throw new Error('Invalid stash token: malformed version header');
+    }
+    
+    const version = Number(match[1]);
+    if (version === TOKEN_VERSION_LEGACY) {
+        throw new Error('Invalid stash token: v1 tokens have no version header');
+    }
+    const suite = match[2];
+    const flags = parseInt(match[3], 16);
+    assertTokenHeader(version, suite, flags);
+    
+    return { header: { version, suite, flags }, body: clean.substring(colonIndex + 1) };
 }
 
 export function decodeStashToken(token: string): StashTokenData {
@@ -120,13 +243,15 @@ export function decodeStashToken(token: string): StashTokenData {
         throw new Error('Invalid stash token: must be non-empty string');
     }
     
-    const colonIndex = clean.indexOf(':');
+    const { header, body } = splitTokenHeader(clean);
+    
+    const colonIndex = body.indexOf(':');
     if (colonIndex === -1) {
         throw new Error('Invalid stash token format: missing colon separator');
     }
     
-    const id = clean.substring(0, colonIndex).trim();
-    const keyBase64 = clean.substring(colonIndex + 1).trim();
+    const id = body.substring(0, colonIndex).trim();
+    const keyBase64 = body.substring(colonIndex + 1).trim();
     
     // Validate components
     if (!id) {
@@ -156,7 +281,76 @@ export function decodeStashToken(token: string): StashTokenData {
         throw new Error(`Invalid stash token: key must be ${KEY_LENGTH} bytes`);
     }
     
-    return { id, keyBuffer: keyBytes };
+    return {
+        id,
+        keyBuffer: keyBytes,
+        version: header?.version ?? TOKEN_VERSION_LEGACY,
+        suite: header?.suite ?? CIPHER_SUITE_AES256GCM,
+        flags: header?.flags ?? 0
+    };
+}
+
+export function hasTokenFlag(token: StashTokenData, flag: number): boolean {
+    return (token.flags & flag) === flag;
+}
+
+// Share link: <origin>/s/<uuid>#[<header>:]<key> - fragment never leaves the browser
+export function formatShareLink(token: string, origin: string): string {
+    const { id, keyBuffer, version, suite, flags } = decodeStashToken(token);
+    const key = arrayBufferToBase64Url(keyBuffer);
+    zeroUint8(keyBuffer);
+    const fragment = version === TOKEN_VERSION_LEGACY ? key : `${formatTokenHeader(version, suite, flags)}:${key}`;
+    return `${origin}/s/${id}#${fragment}`;
+}
+
+// Rebuild a stash token from a share link's path and fragment; null if it isn't one
+export function parseShareLink(pathname: string, fragment: string): string | null {
+    const match = /^\/s\/([^/]+)$/.exec(pathname);
+    if (!match) return null;
+    
+    const id = match[1];
+    const keyPart = fragment.startsWith('#') ? fragment.substring(1) : fragment;
+    if (!UUID_REGEX.test(id) || !keyPart) return null;
+    
+    const headerEnd = keyPart.lastIndexOf(':');
+    const token = headerEnd === -1
+        ? `${id}:${keyPart}`
+        : `${keyPart.substring(0, headerEnd)}:${id}:${keyPart.substring(headerEnd + 1)}`;
+    return tryDecodeStashToken(token) ? token : null;
+}
+
+// AAD for ID-bound payloads: a server swapping ciphertexts between stashes fails authentication
+export function stashAad(id: string, version: number = TOKEN_VERSION): string {
+    if (!UUID_REGEX.test(id)) {
+        throw new Error('Invalid stash ID for AAD binding');
+    }
+    return `stasher:v${version}:${id.toLowerCase()}`;
+}
+
+// Client-chosen stash ID, so the ciphertext can be bound to it before upload
+export function generateStashId(): string {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    // RFC 4122 v4 from raw random bytes
+    return formatUuidV4(randomBytes(16));
+}
+
+function formatUuidV4(bytes: Uint8Array): string {
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// ID of part `index` of a chunked file - derived from the (random) manifest ID, so the token needs no list
+export async function deriveChunkId(manifestId: string, index: number): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`stasher:chunk:${manifestId.toLowerCase()}:${index}`));
+    return formatUuidV4(new Uint8Array(digest));
+}
+
+export async function sha256Base64Url(bytes: Uint8Array): Promise<string> {
+    return arrayBufferToBase64Url(await crypto.subtle.digest('SHA-256', bytes as Uint8Array<ArrayBuffer>));
 }
 
 // Safe version for user input - returns null instead of throwing
@@ -169,11 +363,11 @@ export function tryDecodeStashToken(token: string): StashTokenData | null {
 }
 
 // Legacy encrypt function - now proxies to Web Worker
-export async function encrypt(secret: string): Promise<EncryptionResult> {
+export async function encrypt(secret: string, options?: CryptoOptions): Promise<EncryptionResult> {
     const { getCryptoManager } = await import('./crypto-manager');
     const manager = getCryptoManager();
     
-    const { keyBuffer, payload } = await manager.encrypt(secret);
+    const { keyBuffer, payload } = await manager.encrypt(secret, options);
     
     // Convert payload back to EncryptionResult format for compatibility
     const iv = base64UrlToBytes(payload.iv);
@@ -184,24 +378,60 @@ export async function encrypt(secret: string): Promise<EncryptionResult> {
         keyBuffer: new Uint8Array(keyBuffer),
         iv,
         ciphertext,
-        tag
+        tag,
+        passphrase: payload.passphrase,
+        compression: payload.compression,
+        padding: payload.padding
     };
 }
 
 // Legacy decrypt function - now proxies to Web Worker
-export async function decrypt(payload: PayloadData, keyBuffer: Uint8Array): Promise<string> {
+export async function decrypt(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<string> {
     const { getCryptoManager } = await import('./crypto-manager');
     const manager = getCryptoManager();
     
-    return await manager.decrypt(payload, keyBuffer);
+    return await manager.decrypt(payload, keyBuffer, options);
 }
 
-export function createPayload(encryptionResult: EncryptionResult): PayloadData {
+// File variants - same pipeline, the worker frames the bytes with their name and type
+export async function encryptFile(file: StashFile, options?: CryptoOptions): Promise<EncryptionResult> {
+    const { getCryptoManager } = await import('./crypto-manager');
+    const manager = getCryptoManager();
+    
+    const { keyBuffer, payload } = await manager.encryptFile(file, options);
+    
     return {
+        keyBuffer: new Uint8Array(keyBuffer),
+        iv: base64UrlToBytes(payload.iv),
+        ciphertext: base64UrlToBytes(payload.ciphertext),
+        tag: base64UrlToBytes(payload.tag),
+        passphrase: payload.passphrase
+    };
+}
+
+export async function decryptFile(payload: PayloadData, keyBuffer: Uint8Array, options?: CryptoOptions): Promise<StashFile> {
+    const { getCryptoManager } = await import('./crypto-manager');
+    const manager = getCryptoManager();
+    
+    return await manager.decryptFile(payload, keyBuffer, options);
+}
+
+export function createPayload(encryptionResult: EncryptionResult): PayloadData {
+    const payload: PayloadData = {
         iv: arrayBufferToBase64Url(encryptionResult.iv),
         tag: arrayBufferToBase64Url(encryptionResult.tag),
         ciphertext: arrayBufferToBase64Url(encryptionResult.ciphertext)
     };
+    if (encryptionResult.passphrase) {
+        payload.passphrase = encryptionResult.passphrase;
+    }
+    if (encryptionResult.compression) {
+        payload.compression = encryptionResult.compression;
+    }
+    if (encryptionResult.padding) {
+        payload.padding = encryptionResult.padding;
+    }
+    return payload;
 }
 
 // Type guards
@@ -210,7 +440,24 @@ export function isPayloadData(obj: any): obj is PayloadData {
         typeof obj === 'object' &&
         typeof obj.iv === 'string' &&
         typeof obj.tag === 'string' &&
-        typeof obj.ciphertext === 'string';
+        typeof obj.ciphertext === 'string' &&
+        (obj.passphrase === undefined || isPassphraseParams(obj.passphrase)) &&
+        (obj.compression === undefined || obj.compression === 'deflate-raw') &&
+        (obj.padding === undefined || obj.padding === 1);
+}
+
+export function isPassphraseParams(obj: any): obj is PassphraseParams {
+    return obj &&
+        typeof obj === 'object' &&
+        obj.kdf === 'PBKDF2-SHA256' &&
+        typeof obj.salt === 'string' &&
+        Number.isInteger(obj.iterations) &&
+        typeof obj.iv === 'string';
+}
+
+// True when destash will need a passphrase before the secret can be read
+export function isPassphraseProtected(payload: PayloadData): boolean {
+    return payload.passphrase !== undefined;
 }
 
 // Validation functions
@@ -222,6 +469,20 @@ export function validateSecretLength(secret: string, maxLength: number = MAX_SEC
     return secret.length <= maxLength;
 }
 
+export function validatePassphrase(passphrase: string): boolean {
+    return typeof passphrase === 'string' &&
+        passphrase.length >= MIN_PASSPHRASE_LENGTH &&
+        passphrase.length <= MAX_PASSPHRASE_LENGTH;
+}
+
+export function validateTtl(ttl: unknown): ttl is number {
+    return Number.isInteger(ttl) && (ttl as number) >= MIN_TTL_SECONDS && (ttl as number) <= MAX_TTL_SECONDS;
+}
+
+export function validateMaxViews(views: unknown): views is number {
+    return Number.isInteger(views) && (views as number) >= 1 && (views as number) <= MAX_VIEWS;
+}
+
 export function validateUUID(uuid: string): boolean {
     return typeof uuid === 'string' && UUID_REGEX.test(uuid);
 }
@@ -240,7 +501,14 @@ export function parseUUID(token: string): string | null {
         return null;
     }
     
-    const clean = normalizeToken(token);
+    let clean = normalizeToken(token);
+    
+    // Drop a versioned token header so the ID is the first segment
+    try {
+        clean = splitTokenHeader(clean).body;
+    } catch {
+        return null;
+    }
     
     // If it contains a colon, extract the ID part
     if (clean.includes(':')) {
@@ -314,6 +582,22 @@ export function parsePayload(encoded: string): PayloadData {
         throw new Error(`Invalid payload: ciphertext too large (max ${MAX_CIPHERTEXT_BYTES} bytes)`);
     }
     
+    // Optional passphrase layer parameters
+    if (data.passphrase !== undefined) {
+        if (!isPassphraseParams(data.passphrase)) {
+            throw new Error('Invalid payload: malformed passphrase parameters');
+        }
+        assertB64UrlLen(data.passphrase.salt, SALT_LENGTH, 'payload passphrase salt');
+        assertB64UrlLen(data.passphrase.iv, IV_LENGTH, 'payload passphrase iv');
+    }
+    
+    if (data.compression !== undefined && data.compression !== 'deflate-raw') {
+        throw new Error('Invalid payload: unsupported compression');
+    }
+    if (data.padding !== undefined && data.padding !== 1) {
+        throw new Error('Invalid payload: unsupported padding');
+    }
+    
     return data;
 }
 
@@ -0,0 +1,125 @@
+// Typed errors for the API client - callers branch on the stable `code`, not on message text
+
+export type StasherErrorCode =
+    | 'not_found'
+    | 'consumed'
+    | 'expired'
+    | 'rate_limited'
+    | 'payload_invalid'
+    | 'network'
+    | 'timeout'
+    | 'aborted'
+    | 'decrypt_failed'
+    | 'invalid_input'
+    | 'api_error';
+
+export interface StasherErrorOptions {
+    status?: number;
+    cause?: unknown;
+}
+
+export class StasherError extends Error {
+    readonly code: StasherErrorCode;
+    readonly status?: number;
+
+    constructor(message: string, code: StasherErrorCode, options: StasherErrorOptions = {}) {
+        super(message);
+        this.name = 'StasherError';
+        this.code = code;
+        this.status = options.status;
+        if (options.cause !== undefined) {
+            (this as { cause?: unknown }).cause = options.cause;
+        }
+    }
+}
+
+export class NotFoundError extends StasherError {
+    constructor(message = 'Stash not found', options?: StasherErrorOptions) {
+        super(message, 'not_found', { status: 404, ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ConsumedError extends StasherError {
+    constructor(message = 'This stash has already been consumed', options?: StasherErrorOptions) {
+        super(message, 'consumed', { status: 410, ...options });
+        this.name = 'ConsumedError';
+    }
+}
+
+export class ExpiredError extends StasherError {
+    constructor(message = 'This stash has expired', options?: StasherErrorOptions) {
+        super(message, 'expired', { status: 410, ...options });
+        this.name = 'ExpiredError';
+    }
+}
+
+export class RateLimitedError extends StasherError {
+    readonly retryAfterSeconds?: number;
+
+    constructor(message = 'Too many requests', retryAfterSeconds?: number, options?: StasherErrorOptions) {
+        super(message, 'rate_limited', { status: 429, ...options });
+        this.name = 'RateLimitedError';
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+export class PayloadInvalidError extends StasherError {
+    constructor(message = 'Invalid payload', options?: StasherErrorOptions) {
+        super(message, 'payload_invalid', options);
+        this.name = 'PayloadInvalidError';
+    }
+}
+
+export class NetworkError extends StasherError {
+    constructor(message = 'Network error', options?: StasherErrorOptions) {
+        super(message, 'network', options);
+        this.name = 'NetworkError';
+    }
+}
+
+export class TimeoutError extends StasherError {
+    constructor(message = 'Request timed out', options?: StasherErrorOptions) {
+        super(message, 'timeout', options);
+        this.name = 'TimeoutError';
+    }
+}
+
+export class AbortedError extends StasherError {
+    constructor(message = 'Operation cancelled', options?: StasherErrorOptions) {
+        super(message, 'aborted', options);
+        this.name = 'AbortedError';
+    }
+}
+
+// Why decryption failed, as reported by the crypto worker
+export type DecryptFailureReason = 'passphrase_invalid' | 'passphrase_required' | 'payload_mismatch' | 'unknown';
+
+export class DecryptFailedError extends StasherError {
+    readonly reason: DecryptFailureReason;
+
+    constructor(message = 'Decryption failed', reason: DecryptFailureReason = 'unknown', options?: StasherErrorOptions) {
+        super(message, 'decrypt_failed', options);
+        this.name = 'DecryptFailedError';
+        this.reason = reason;
+    }
+}
+
+export class InvalidInputError extends StasherError {
+    constructor(message: string, options?: StasherErrorOptions) {
+        super(message, 'invalid_input', options);
+        this.name = 'InvalidInputError';
+    }
+}
+
+// Unexpected server status with no more specific mapping
+export class ApiError extends StasherError {
+    constructor(message: string, status: number, options?: StasherErrorOptions) {
+        super(message, 'api_error', { ...options, status });
+        this.name = 'ApiError';
+    }
+}
+
+export function isStasherError(error: unknown): error is StasherError {
+    return error instanceof StasherError;
+}
@@ -0,0 +1,128 @@
+// Secret generator - passwords, word passphrases and API-key style strings from crypto.getRandomValues
+import { randomBytes, arrayBufferToBase64Url } from './crypto.js';
+
+export type GeneratorStyle = 'password' | 'passphrase' | 'hex' | 'base64';
+
+export interface GeneratorOptions {
+    style: GeneratorStyle;
+    length: number;        // Characters (password), words (passphrase) or random bytes (hex/base64)
+    lower?: boolean;       // Password character classes (default: all on)
+    upper?: boolean;
+    digits?: boolean;
+    symbols?: boolean;
+    separator?: string;    // Passphrase word separator (default '-')
+}
+
+export const GENERATOR_LIMITS: Readonly<Record<GeneratorStyle, { min: number; max: number; default: number }>> = Object.freeze({
+    password: { min: 8, max: 128, default: 24 },
+    passphrase: { min: 4, max: 16, default: 8 },
+    hex: { min: 16, max: 64, default: 32 },
+    base64: { min: 16, max: 64, default: 32 }
+});
+
+const CHARSETS = {
+    lower: 'abcdefghijkmnopqrstuvwxyz',  // No l
+    upper: 'ABCDEFGHJKLMNPQRSTUVWXYZ',   // No I/O
+    digits: '23456789',                  // No 0/1
+    symbols: '!#$%&*+-=?@^_~'
+} as const;
+
+// 256 short, distinct, easy-to-type words: one random byte per word, 8 bits each
+const WORDS: readonly string[] = Object.freeze([
+    'acorn', 'actor', 'adobe', 'agent', 'album', 'alley', 'amber', 'angle', 'ankle', 'apple', 'apron', 'arena',
+    'arrow', 'aspen', 'atlas', 'attic', 'audio', 'award', 'bacon', 'badge', 'bagel', 'baker', 'bamboo', 'banjo',
+    'barn', 'basil', 'basin', 'beach', 'beard', 'beetle', 'bench', 'berry', 'bison', 'blade', 'blaze', 'block',
+    'bloom', 'board', 'boat', 'bonus', 'boot', 'bottle', 'brain', 'brass', 'bread', 'brick', 'bridge', 'brook',
+    'broom', 'brush', 'bucket', 'buddy', 'bugle', 'bunny', 'cabin', 'cable', 'cactus', 'camel', 'candle', 'canoe',
+    'canyon', 'cargo', 'carpet', 'carrot', 'castle', 'cedar', 'chalk', 'cherry', 'chess', 'chief', 'cider', 'cinema',
+    'circus', 'citrus', 'clerk', 'cliff', 'clock', 'cloud', 'clover', 'coast', 'cobalt', 'cocoa', 'comet', 'coral',
+    'cotton', 'couch', 'cousin', 'crane', 'crayon', 'creek', 'crown', 'cubby', 'cycle', 'daisy', 'dancer', 'delta',
+    'denim', 'desert', 'diary', 'dinner', 'dolphin', 'donkey', 'dragon', 'drum', 'eagle', 'easel', 'echo', 'elbow',
+    'ember', 'engine', 'fabric', 'falcon', 'fence', 'ferry', 'fiddle', 'field', 'finch', 'flame', 'flute', 'forest',
+    'fossil', 'fox', 'frost', 'garden', 'garlic', 'gecko', 'giant', 'ginger', 'globe', 'goose', 'grape', 'gravel',
+    'guitar', 'hammer', 'harbor', 'harvest', 'hazel', 'helmet', 'hermit', 'hiker', 'honey', 'hornet', 'house', 'igloo',
+    'island', 'ivory', 'jacket', 'jaguar', 'jelly', 'jigsaw', 'jungle', 'kayak', 'kettle', 'kitten', 'koala', 'ladder',
+    'lagoon', 'lantern', 'lemon', 'lily', 'lizard', 'locket', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+    'mirror', 'mitten', 'monkey', 'moose', 'mosaic', 'muffin', 'nectar', 'needle', 'nickel', 'noodle', 'nutmeg', 'oasis',
+    'ocean', 'olive', 'onion', 'orbit', 'orchid', 'otter', 'oyster', 'paddle', 'panda', 'parrot', 'pasta', 'peach',
+    'pebble', 'pepper', 'piano', 'pickle', 'pillow', 'pilot', 'planet', 'plum', 'pocket', 'pony', 'potato', 'puffin',
+    'pumpkin', 'puzzle', 'quartz', 'quill', 'rabbit', 'radar', 'radish', 'raven', 'ribbon', 'river', 'robin', 'rocket',
+    'saddle', 'salmon', 'sandal', 'scarf', 'shovel', 'silver', 'sketch', 'sled', 'sloth', 'spider', 'spoon', 'squid',
+    'stable', 'stone', 'sugar', 'sunset', 'swan', 'table', 'tiger', 'timber', 'toast', 'tomato', 'trumpet', 'tulip',
+    'tunnel', 'turtle', 'valley', 'velvet', 'violin', 'wagon', 'walnut', 'walrus', 'whale', 'willow', 'window', 'winter',
+    'wizard', 'yogurt', 'zebra', 'zipper'
+]);
+
+// Uniform index in [0, n) - rejection sampling avoids modulo bias
+function randomIndex(n: number): number {
+    if (n < 1 || n > 256) throw new Error('Alphabet size out of range');
+    const limit = 256 - (256 % n);
+    for (;;) {
+        const [byte] = randomBytes(1);
+        if (byte < limit) return byte % n;
+    }
+}
+
+function enabledClasses(options: GeneratorOptions): string[] {
+    const classes: string[] = [];
+    if (options.lower ?? true) classes.push(CHARSETS.lower);
+    if (options.upper ?? true) classes.push(CHARSETS.upper);
+    if (options.digits ?? true) classes.push(CHARSETS.digits);
+    if (options.symbols ?? true) classes.push(CHARSETS.symbols);
+    return classes;
+}
+
+function assertLength(options: GeneratorOptions): void {
+    const { min, max } = GENERATOR_LIMITS[options.style];
+    if (!Number.isInteger(options.length) || options.length < min || options.length > max) {
+        throw new Error(`Length must be between ${min} and ${max}`);
+    }
+}
+
+function generatePassword(options: GeneratorOptions): string {
+    const classes = enabledClasses(options);
+    if (classes.length === 0) {
+        throw new Error('Pick at least one character class');
+    }
+    const alphabet = classes.join('');
+    // Redraw until every chosen class appears (uniform over the passwords that qualify)
+    for (;;) {
+        let password = '';
+        for (let i = 0; i < options.length; i++) {
+            password += alphabet[randomIndex(alphabet.length)];
+        }
+        if (classes.every(set => Array.from(set).some(c => password.includes(c)))) {
+            return password;
+        }
+    }
+}
+
+export function generateSecret(options: GeneratorOptions): string {
+    assertLength(options);
+    switch (options.style) {
+        case 'password':
+            return generatePassword(options);
+        case 'passphrase': {
+            const words = Array.from(randomBytes(options.length), byte => WORDS[byte]);
+            return words.join(options.separator ?? '-');
+        }
+        case 'hex':
+            return Array.from(randomBytes(options.length), b => b.toString(16).padStart(2, '0')).join('');
+        case 'base64':
+            return arrayBufferToBase64Url(randomBytes(options.length));
+        default:
+            throw new Error('Unknown generator style');
+    }
+}
+
+// Strength estimate in bits (ignores the small loss from requiring every class)
+export function estimateEntropyBits(options: GeneratorOptions): number {
+    switch (options.style) {
+        case 'password':
+            return Math.floor(options.length * Math.log2(enabledClasses(options).join('').length || 1));
+        case 'passphrase':
+            return options.length * Math.log2(WORDS.length);
+        default:
+            return options.length * 8;
+    }
+}
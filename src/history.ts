@@ -0,0 +1,95 @@
+// Local stash history - IndexedDB list of stashes created on this device, for later revocation
+// Stores stash IDs and metadata only. Keys and tokens are NEVER written here.
+
+const DB_NAME = 'stasher';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+export const MAX_HISTORY_ENTRIES = 100;
+export const MAX_LABEL_LENGTH = 80;
+
+export interface HistoryEntry {
+    id: string;
+    createdAt: number;      // Epoch ms
+    label: string;
+    ttl: number | null;     // Requested lifetime in seconds; null = server default
+    chunked?: boolean;      // Chunked file: unstash deletes its parts too
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+    });
+}
+
+function openDatabase(): Promise<IDBDatabase> {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('History unavailable: IndexedDB not supported'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('createdAt', 'createdAt');
+        }
+    };
+    return requestToPromise(request);
+}
+
+// Run one operation in its own transaction and close the connection afterwards
+async function withStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+    const db = await openDatabase();
+    try {
+        const tx = db.transaction(STORE_NAME, mode);
+        // Attach completion handlers before the request can settle
+        const done = new Promise<void>((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error ?? new Error('IndexedDB transaction failed'));
+            tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+        });
+        const [result] = await Promise.all([requestToPromise(run(tx.objectStore(STORE_NAME))), done]);
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+function normalizeLabel(label: string): string {
+    return label.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+export async function listHistory(): Promise<HistoryEntry[]> {
+    const entries = await withStore('readonly', store => store.getAll() as IDBRequest<HistoryEntry[]>);
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function addHistoryEntry(entry: HistoryEntry): Promise<void> {
+    await withStore('readwrite', store => store.put({
+        id: entry.id,
+        createdAt: entry.createdAt,
+        label: normalizeLabel(entry.label),
+        ttl: entry.ttl,
+        ...(entry.chunked && { chunked: true })
+    }));
+
+    // Keep the list bounded - drop the oldest entries
+    const entries = await listHistory();
+    for (const stale of entries.slice(MAX_HISTORY_ENTRIES)) {
+        await removeHistoryEntry(stale.id);
+    }
+}
+
+export async function updateHistoryLabel(id: string, label: string): Promise<void> {
+    const entry = await withStore('readonly', store => store.get(id) as IDBRequest<HistoryEntry | undefined>);
+    if (!entry) return;
+    await withStore('readwrite', store => store.put({ ...entry, label: normalizeLabel(label) }));
+}
+
+export async function removeHistoryEntry(id: string): Promise<void> {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+export async function clearHistory(): Promise<void> {
+    await withStore('readwrite', store => store.clear());
+}
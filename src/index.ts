@@ -0,0 +1,40 @@
+// stasher-web library entry - StasherClient for embedding Stasher in other web UIs (built to stasher-web.mjs)
+export { StasherClient, workerCryptoBackend, DEFAULT_TIMEOUT_MS, MAX_REQUEST_ATTEMPTS } from './client.js';
+export type {
+    StasherClientConfig,
+    CryptoBackend,
+    EnstashOptions,
+    DestashOptions,
+    UnstashOptions,
+    SplitOptions,
+    RequestOptions,
+    RetryNotice,
+    PassphrasePrompt,
+    StashState,
+    StashStatus
+} from './client.js';
+export * from './errors.js';
+export {
+    formatShareLink,
+    parseShareLink,
+    decodeStashToken,
+    hasTokenFlag,
+    TOKEN_FLAGS,
+    DEFAULT_API_BASE_URL,
+    MAX_FILE_BYTES,
+    MAX_FILE_NAME_LENGTH,
+    MAX_SINGLE_FILE_BYTES,
+    CHUNK_BYTES,
+    MAX_CHUNKS
+} from './crypto.js';
+export type { CryptoOptions, EncryptionResult, PayloadData, StashFile, StashTokenData } from './crypto.js';
+export {
+    splitSecret,
+    combineSecret,
+    parseShareText,
+    isShareText,
+    MIN_SHARES,
+    MAX_SHARES,
+    MAX_SPLIT_SECRET_BYTES
+} from './shamir.js';
+export type { ParsedShare, ShamirShare } from './shamir.js';
@@ -0,0 +1,93 @@
+// Opener bridge - postMessage handshake with the page whose bookmarklet opened this popup
+// The bookmarklet puts a one-time nonce and its own origin in the popup URL (?capture=<nonce>&origin=<origin>);
+// only the opener window, from that origin, carrying that nonce, gets exactly one message through.
+
+export const CAPTURE_PARAM = 'capture'; // Host page sends its selection to us
+export const FILL_PARAM = 'fill';       // We send a destashed secret to the host page
+export const ORIGIN_PARAM = 'origin';
+const NONCE_REGEX = /^[0-9a-f]{32}$/;
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+// Frozen at load, like the DOM references in stasher_app.ts
+const add = EventTarget.prototype.addEventListener;
+const remove = EventTarget.prototype.removeEventListener;
+
+export interface OpenerSession {
+    nonce: string;
+    origin: string; // Origin of the host page, pinned for every message in both directions
+}
+
+function parseOrigin(value: string | null): string | null {
+    if (!value) return null;
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+        return url.origin === value ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+// Read and strip the handshake parameters; null unless they are well-formed and we have an opener
+export function takeOpenerSession(param: string): OpenerSession | null {
+    const params = new URLSearchParams(location.search);
+    const nonce = params.get(param);
+    const origin = parseOrigin(params.get(ORIGIN_PARAM));
+    if (nonce === null) return null;
+
+    params.delete(param);
+    params.delete(ORIGIN_PARAM);
+    const query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? `?${query}` : ''));
+
+    if (!NONCE_REGEX.test(nonce) || !origin || !window.opener) return null;
+    return { nonce, origin };
+}
+
+// Length-independent comparison so the nonce can't be probed byte by byte
+function nonceMatches(candidate: unknown, nonce: string): boolean {
+    if (typeof candidate !== 'string' || candidate.length !== nonce.length) return false;
+    let diff = 0;
+    for (let i = 0; i < nonce.length; i++) {
+        diff |= candidate.charCodeAt(i) ^ nonce.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// Announce readiness, then accept the first message from the opener - whatever it is, the channel closes
+export function receiveFromOpener(session: OpenerSession, type: string): Promise<any> {
+    const opener = window.opener as Window | null;
+    if (!opener) return Promise.reject(new Error('The page that opened Stasher is gone'));
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            remove.call(window, 'message', onMessage as EventListener);
+            clearTimeout(timer);
+        };
+        const onMessage = (event: MessageEvent) => {
+            if (event.source !== opener) return;
+            finish();
+            const data = event.data;
+            if (event.origin !== session.origin || data?.type !== type || !nonceMatches(data?.nonce, session.nonce)) {
+                reject(new Error('Rejected a message that failed the handshake'));
+                return;
+            }
+            resolve(data);
+        };
+        const timer = setTimeout(() => {
+            finish();
+            reject(new Error('The page did not answer in time'));
+        }, HANDSHAKE_TIMEOUT_MS);
+
+        add.call(window, 'message', onMessage as EventListener);
+        opener.postMessage({ type: 'stasher:ready', nonce: session.nonce }, session.origin);
+    });
+}
+
+// Post to the opener, pinned to the session origin (dropped by the browser if the opener navigated away)
+export function sendToOpener(session: OpenerSession, type: string, fields: Record<string, string>): boolean {
+    const opener = window.opener as Window | null;
+    if (!opener || opener.closed) return false;
+    opener.postMessage({ ...fields, type, nonce: session.nonce }, session.origin);
+    return true;
+}
@@ -0,0 +1,80 @@
+// User preferences - persisted to localStorage, never containing secrets or keys
+import { DEFAULT_MAX_VIEWS, validateTtl, validateMaxViews } from './crypto.js';
+
+const STORAGE_KEY = 'stasher:prefs';
+
+export const DEFAULT_AUTO_CLOSE_SECONDS = 30;
+export const MIN_AUTO_CLOSE_SECONDS = 10;
+export const MAX_AUTO_CLOSE_SECONDS = 3600;
+
+export const DEFAULT_CLIPBOARD_CLEAR_SECONDS = 30;
+export const MIN_CLIPBOARD_CLEAR_SECONDS = 5;
+export const MAX_CLIPBOARD_CLEAR_SECONDS = 600;
+
+export interface Preferences {
+    ttl: number | null;   // Seconds; null = server default
+    maxViews: number;
+    autoCloseSeconds: number; // Inactivity auto-close; 0 = disabled
+    historyEnabled: boolean;  // Opt-in local list of created stash IDs
+    clipboardClearSeconds: number; // Wipe copied tokens/secrets from the clipboard; 0 = never
+}
+
+const DEFAULT_PREFERENCES: Readonly<Preferences> = Object.freeze({
+    ttl: null,
+    maxViews: DEFAULT_MAX_VIEWS,
+    autoCloseSeconds: DEFAULT_AUTO_CLOSE_SECONDS,
+    historyEnabled: false,
+    clipboardClearSeconds: DEFAULT_CLIPBOARD_CLEAR_SECONDS
+});
+
+function validateAutoClose(seconds: unknown): seconds is number {
+    return seconds === 0 ||
+        (Number.isInteger(seconds) && (seconds as number) >= MIN_AUTO_CLOSE_SECONDS && (seconds as number) <= MAX_AUTO_CLOSE_SECONDS);
+}
+
+function validateClipboardClear(seconds: unknown): seconds is number {
+    return seconds === 0 ||
+        (Number.isInteger(seconds) && (seconds as number) >= MIN_CLIPBOARD_CLEAR_SECONDS && (seconds as number) <= MAX_CLIPBOARD_CLEAR_SECONDS);
+}
+
+// Storage can be disabled (privacy mode, sandboxed popup) - fall back to defaults
+function readStorage(): string | null {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch {
+        return null;
+    }
+}
+
+export function loadPreferences(): Preferences {
+    const prefs: Preferences = { ...DEFAULT_PREFERENCES };
+    const raw = readStorage();
+    if (!raw) return prefs;
+    
+    let data: any;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        return prefs;
+    }
+    if (!data || typeof data !== 'object') return prefs;
+    
+    // Strict per-field validation; ignore anything unexpected
+    if (data.ttl === null || validateTtl(data.ttl)) prefs.ttl = data.ttl;
+    if (validateMaxViews(data.maxViews)) prefs.maxViews = data.maxViews;
+    if (validateAutoClose(data.autoCloseSeconds)) prefs.autoCloseSeconds = data.autoCloseSeconds;
+    if (typeof data.historyEnabled === 'boolean') prefs.historyEnabled = data.historyEnabled;
+    if (validateClipboardClear(data.clipboardClearSeconds)) prefs.clipboardClearSeconds = data.clipboardClearSeconds;
+    
+    return prefs;
+}
+
+export function savePreferences(update: Partial<Preferences>): Preferences {
+    const prefs = { ...loadPreferences(), ...update };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+    } catch {
+        // Non-fatal: preference just won't survive a reload
+    }
+    return prefs;
+}
@@ -0,0 +1,184 @@
+// Shamir secret sharing over GF(2^8) - any `threshold` of `shares` rebuild the secret, fewer reveal nothing
+import { randomBytes, arrayBufferToBase64Url, base64UrlToBytes, zeroUint8 } from './crypto.js';
+import { InvalidInputError } from './errors.js';
+
+export const MIN_SHARES = 2;
+export const MAX_SHARES = 10;
+export const MAX_SPLIT_SECRET_BYTES = 3000; // A share (header + base64url data) must still fit the 4 KB secret limit
+const SHARE_PREFIX = 'stasher-share.1.';
+const SHARE_REGEX = /^stasher-share\.1\.([0-9a-f]{16})\.(\d{1,2})\.(\d{1,2})\.(\d{1,2})\.([A-Za-z0-9_-]+)$/;
+const GROUP_BYTES = 8;
+const CHECK_BYTES = 8; // Truncated SHA-256 of the secret, split along with it so only a full set can verify it
+
+export interface ShamirShare {
+    x: number;       // Evaluation point, 1..shares
+    y: Uint8Array;   // One polynomial value per secret byte
+}
+
+// Log/antilog tables for the AES field (x^8 + x^4 + x^3 + x + 1), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = EXP[i + 255] = value;
+    LOG[value] = i;
+    value ^= value << 1; // * 3
+    if (value & 0x100) value ^= 0x11b;
+}
+
+// Field arithmetic, exported for the known-answer tests in test/shamir.test.ts
+export function gfMul(a: number, b: number): number {
+    return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+export function gfDiv(a: number, b: number): number {
+    if (!b) throw new Error('Division by zero in GF(256)');
+    return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+}
+
+// Share i is the polynomial secret + c1·x + c2·x² + … at x = i, byte by byte
+export function evaluateShares(secret: Uint8Array, coefficients: Uint8Array[], shares: number): ShamirShare[] {
+    return Array.from({ length: shares }, (_, i) => {
+        const x = i + 1;
+        const y = new Uint8Array(secret.length);
+        for (let b = 0; b < secret.length; b++) {
+            // Horner's rule, highest coefficient first
+            let acc = 0;
+            for (let c = coefficients.length - 1; c >= 0; c--) {
+                acc = gfMul(acc, x) ^ coefficients[c][b];
+            }
+            y[b] = gfMul(acc, x) ^ secret[b];
+        }
+        return { x, y };
+    });
+}
+
+// Lagrange interpolation at x = 0; the caller passes exactly `threshold` distinct shares
+export function interpolateSecret(shares: ShamirShare[]): Uint8Array {
+    const secret = new Uint8Array(shares[0].y.length);
+    for (const share of shares) {
+        let weight = 1;
+        for (const other of shares) {
+            if (other !== share) weight = gfMul(weight, gfDiv(other.x, other.x ^ share.x));
+        }
+        for (let b = 0; b < secret.length; b++) {
+            secret[b] ^= gfMul(share.y[b], weight);
+        }
+    }
+    return secret;
+}
+
+function sameBytes(a: ArrayLike<number>, b: ArrayLike<number>): boolean {
+    return a.length === b.length && Array.prototype.every.call(a, (value: number, i: number) => value === b[i]);
+}
+
+async function secretCheck(secret: Uint8Array): Promise<Uint8Array> {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', secret as BufferSource)).slice(0, CHECK_BYTES);
+}
+
+function toHex(bytes: Uint8Array): string {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function isShareText(value: string): boolean {
+    return value.startsWith(SHARE_PREFIX);
+}
+
+// Share text: stasher-share.1.<group>.<threshold>.<shares>.<x>.<base64url y>
+export async function splitSecret(secret: string, shares: number, threshold: number): Promise<string[]> {
+    if (!Number.isInteger(shares) || shares < MIN_SHARES || shares > MAX_SHARES) {
+        throw new InvalidInputError(`Share count must be between ${MIN_SHARES} and ${MAX_SHARES}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < MIN_SHARES || threshold > shares) {
+        throw new InvalidInputError(`Threshold must be between ${MIN_SHARES} and the share count`);
+    }
+    const secretBytes = new TextEncoder().encode(secret);
+    if (secretBytes.length === 0 || secretBytes.length > MAX_SPLIT_SECRET_BYTES) {
+        zeroUint8(secretBytes);
+        throw new InvalidInputError(`Secret to split must be 1-${MAX_SPLIT_SECRET_BYTES} bytes`);
+    }
+
+    // The check is shared like the secret itself: no single share holder can test guesses against it
+    const plaintext = new Uint8Array(secretBytes.length + CHECK_BYTES);
+    plaintext.set(secretBytes);
+    plaintext.set(await secretCheck(secretBytes), secretBytes.length);
+    zeroUint8(secretBytes);
+
+    const coefficients = Array.from({ length: threshold - 1 }, () => randomBytes(plaintext.length));
+    const group = toHex(randomBytes(GROUP_BYTES));
+    try {
+        return evaluateShares(plaintext, coefficients, shares).map(share => {
+            const text = `${SHARE_PREFIX}${group}.${threshold}.${shares}.${share.x}.${arrayBufferToBase64Url(share.y)}`;
+            zeroUint8(share.y);
+            return text;
+        });
+    } finally {
+        zeroUint8(plaintext);
+        coefficients.forEach(zeroUint8);
+    }
+}
+
+export interface ParsedShare extends ShamirShare {
+    group: string;
+    threshold: number;
+    shares: number;
+}
+
+export function parseShareText(value: string): ParsedShare {
+    const match = SHARE_REGEX.exec(value.trim());
+    if (!match) {
+        throw new InvalidInputError('Not a secret share');
+    }
+    const [, group, thresholdText, sharesText, xText, data] = match;
+    const threshold = Number(thresholdText);
+    const shares = Number(sharesText);
+    const x = Number(xText);
+    if (shares < MIN_SHARES || shares > MAX_SHARES || threshold < MIN_SHARES || threshold > shares || x < 1 || x > shares) {
+        throw new InvalidInputError('Malformed secret share');
+    }
+    let y: Uint8Array;
+    try {
+        y = base64UrlToBytes(data);
+    } catch {
+        throw new InvalidInputError('Malformed secret share');
+    }
+    if (y.length <= CHECK_BYTES) {
+        throw new InvalidInputError('Malformed secret share');
+    }
+    return { group, threshold, shares, x, y };
+}
+
+// Threshold of parsed shares from one split; parses what it needs and verifies the rebuilt secret
+export async function combineSecret(shareTexts: string[]): Promise<string> {
+    const parsed = shareTexts.map(parseShareText);
+    try {
+        const first = parsed[0];
+        if (!first) {
+            throw new InvalidInputError('No shares to combine');
+        }
+        const distinct = new Map<number, ParsedShare>();
+        for (const share of parsed) {
+            if (share.group !== first.group || share.threshold !== first.threshold ||
+                share.shares !== first.shares || share.y.length !== first.y.length) {
+                throw new InvalidInputError('Shares come from different splits');
+            }
+            distinct.set(share.x, share);
+        }
+        if (distinct.size < first.threshold) {
+            throw new InvalidInputError(`Need ${first.threshold} different shares, got ${distinct.size}`);
+        }
+
+        const plaintext = interpolateSecret(Array.from(distinct.values()).slice(0, first.threshold));
+        try {
+            const secretBytes = plaintext.subarray(0, plaintext.length - CHECK_BYTES);
+            const check = await secretCheck(secretBytes);
+            if (!sameBytes(check, plaintext.subarray(secretBytes.length))) {
+                throw new InvalidInputError('Shares do not rebuild the original secret');
+            }
+            return new TextDecoder('utf-8', { fatal: true }).decode(secretBytes);
+        } finally {
+            zeroUint8(plaintext);
+        }
+    } finally {
+        parsed.forEach(share => zeroUint8(share.y));
+    }
+}
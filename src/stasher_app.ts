@@ -1,9 +1,40 @@
-import { performEnstash, performDestash, performUnstash } from './api.js';
+import { performEnstash, performEnstashSplit, performDestash, performEnstashFile, performDestashFile, performUnstash, performStatus } from './api.js';
+import type { StashStatus, StashFile, EnstashOptions } from './api.js';
+import { isStasherError } from './errors.js';
+import type { DecryptFailedError, RateLimitedError } from './errors.js';
+import { formatShareLink, parseShareLink, parseUUID, tryDecodeStashToken, hasTokenFlag, zeroUint8, validateSecretLength, TOKEN_FLAGS, MAX_SINGLE_FILE_BYTES, MAX_SECRET_LENGTH, MAX_INFLATED_SECRET_BYTES } from './crypto.js';
+import { terminateCryptoManager } from './crypto-manager.js';
+import { loadPreferences, savePreferences } from './preferences.js';
+import { listHistory, addHistoryEntry, updateHistoryLabel, removeHistoryEntry, clearHistory, MAX_LABEL_LENGTH } from './history.js';
+import type { HistoryEntry } from './history.js';
+import { installConsoleApi } from './console-api.js';
+import { generateSecret, estimateEntropyBits, GENERATOR_LIMITS } from './generator.js';
+import type { GeneratorOptions, GeneratorStyle } from './generator.js';
+import { armClipboardClear, cancelClipboardClear, flushClipboardClear } from './clipboard.js';
+import type { ClipboardClearOutcome } from './clipboard.js';
+import { combineSecret, isShareText, parseShareText, MIN_SHARES } from './shamir.js';
+import { takeOpenerSession, receiveFromOpener, sendToOpener, CAPTURE_PARAM, FILL_PARAM } from './opener-bridge.js';
+
+// Share links (/s/<uuid>#<key>): lift the token out of the URL and history before anything else runs
+let pendingShareToken: string | null = parseShareLink(location.pathname, location.hash);
+const hadShareFragment = location.hash.length > 1;
+if (location.hash) {
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Capture bookmarklet: the host page hands over its text selection once we say we're ready
+const captureSession = takeOpenerSession(CAPTURE_PARAM);
+// Fill bookmarklet: a destashed secret can be posted back into the field focused on the host page
+let fillSession = takeOpenerSession(FILL_PARAM);
 
 // Lock API imports at startup to prevent malicious redefinition
 const safePerformEnstash = performEnstash;
+const safePerformEnstashSplit = performEnstashSplit;
 const safePerformDestash = performDestash;
+const safePerformEnstashFile = performEnstashFile;
+const safePerformDestashFile = performDestashFile;
 const safePerformUnstash = performUnstash;
+const safePerformStatus = performStatus;
 
 // DOM clobbering defense - freeze critical APIs before any other operations
 const safeCreateElement = document.createElement.bind(document);
@@ -15,19 +46,85 @@ const add = EventTarget.prototype.addEventListener;
 
 // Get elements using safe references with null guards
 const operations = safeQuerySelectorAll('.operation') as NodeListOf<HTMLButtonElement>;
-const input = safeQuerySelector('#main-input') as HTMLInputElement;
+const singleLineInput = safeQuerySelector('#main-input') as HTMLInputElement;
 const message = safeQuerySelector('#message') as HTMLDivElement;
 const clearButton = safeQuerySelector('#clear-button') as HTMLButtonElement;
+const passphraseInput = safeQuerySelector('#passphrase-input') as HTMLInputElement;
+const passphraseToggle = safeQuerySelector('#passphrase-toggle') as HTMLButtonElement;
+const ttlSelect = safeQuerySelector('#ttl-select') as HTMLSelectElement;
+const viewsSelect = safeQuerySelector('#views-select') as HTMLSelectElement;
+const clipboardSelect = safeQuerySelector('#clipboard-select') as HTMLSelectElement;
+const multilineToggle = safeQuerySelector('#multiline-toggle') as HTMLButtonElement;
+const fileToggle = safeQuerySelector('#file-toggle') as HTMLButtonElement;
+const fileInput = safeQuerySelector('#file-input') as HTMLInputElement;
+const fileChip = safeQuerySelector('#file-chip') as HTMLDivElement;
+const fileName = safeQuerySelector('#file-name') as HTMLSpanElement;
+const fileRemove = safeQuerySelector('#file-remove') as HTMLButtonElement;
+const fileDownload = safeQuerySelector('#file-download') as HTMLAnchorElement;
+const revealButton = safeQuerySelector('#reveal-button') as HTMLButtonElement;
+const copyLinkButton = safeQuerySelector('#copy-link-button') as HTMLButtonElement;
+const sendToPageButton = safeQuerySelector('#send-to-page-button') as HTMLButtonElement;
+const maskToggle = safeQuerySelector('#mask-toggle') as HTMLButtonElement;
+const copySecretButton = safeQuerySelector('#copy-secret-button') as HTMLButtonElement;
+const timerDisplay = safeQuerySelector('#timer-display') as HTMLButtonElement;
+const historyToggle = safeQuerySelector('#history-toggle') as HTMLButtonElement;
+const historyPanel = safeQuerySelector('#history-panel') as HTMLDivElement;
+const historyEnabledBox = safeQuerySelector('#history-enabled') as HTMLInputElement;
+const historyList = safeQuerySelector('#history-list') as HTMLUListElement;
+const generatorToggle = safeQuerySelector('#generator-toggle') as HTMLButtonElement;
+const generatorPanel = safeQuerySelector('#generator-panel') as HTMLDivElement;
+const generatorStyle = safeQuerySelector('#generator-style') as HTMLSelectElement;
+const generatorLength = safeQuerySelector('#generator-length') as HTMLInputElement;
+const generatorClasses = safeQuerySelector('#generator-classes') as HTMLDivElement;
+const generatorStrength = safeQuerySelector('#generator-strength') as HTMLSpanElement;
+const generateButton = safeQuerySelector('#generate-button') as HTMLButtonElement;
+const generateEnstashButton = safeQuerySelector('#generate-enstash-button') as HTMLButtonElement;
+const splitToggle = safeQuerySelector('#split-toggle') as HTMLButtonElement;
+const splitPanel = safeQuerySelector('#split-panel') as HTMLDivElement;
+const splitScheme = safeQuerySelector('#split-scheme') as HTMLSelectElement;
+const splitButton = safeQuerySelector('#split-button') as HTMLButtonElement;
+const splitTokenList = safeQuerySelector('#split-tokens') as HTMLUListElement;
+const combineInput = safeQuerySelector('#combine-input') as HTMLTextAreaElement;
+const combineButton = safeQuerySelector('#combine-button') as HTMLButtonElement;
+const classBoxes = {
+    lower: safeQuerySelector('#generator-lower') as HTMLInputElement,
+    upper: safeQuerySelector('#generator-upper') as HTMLInputElement,
+    digits: safeQuerySelector('#generator-digits') as HTMLInputElement,
+    symbols: safeQuerySelector('#generator-symbols') as HTMLInputElement
+};
 
-if (!input || !message || !clearButton || operations.length === 0) {
+if (!singleLineInput || !message || !clearButton || !passphraseInput || !passphraseToggle ||
+    !ttlSelect || !viewsSelect || !clipboardSelect || !multilineToggle || !revealButton ||
+    !fileToggle || !fileInput || !fileChip || !fileName || !fileRemove || !fileDownload || !copyLinkButton || !sendToPageButton || !maskToggle || !copySecretButton ||
+    !timerDisplay || !historyToggle || !historyPanel || !historyEnabledBox || !historyList ||
+    !generatorToggle || !generatorPanel || !generatorStyle || !generatorLength || !generatorClasses ||
+    !generatorStrength || !generateButton || !generateEnstashButton || Object.values(classBoxes).some(box => !box) ||
+    !splitToggle || !splitPanel || !splitScheme || !splitButton || !splitTokenList || !combineInput || !combineButton ||
+    operations.length === 0) {
     throw new Error('Required elements missing');
 }
 
+// Multiline mode swaps the single-line input for a textarea (PEM, SSH keys, .env blocks)
+type SecretField = HTMLInputElement | HTMLTextAreaElement;
+const multiLineInput = safeCreateElement('textarea');
+multiLineInput.className = 'input multiline';
+multiLineInput.rows = 6;
+multiLineInput.wrap = 'off'; // Keep long key lines intact
+multiLineInput.placeholder = 'Paste multi-line secret (Ctrl+Enter to enstash)';
+
+// Active secret field - everything reads through this, never a captured element
+let input: SecretField = singleLineInput;
+
 // Add aria-hidden to decorative SVGs BEFORE capturing button children
 operations.forEach(btn => {
     btn.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
 });
 clearButton.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+passphraseToggle.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+multilineToggle.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+fileToggle.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+copyLinkButton.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+historyToggle.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
 
 // Store original button children for restoration (safer cloning)
 const originalButtonChildren = Array.from(operations, btn => {
@@ -44,13 +141,23 @@ let wipeTimeout: number | null = null;
 let inflight: AbortController | null = null;
 
 // Hoist constants to avoid re-allocation
-const allowedModes = new Set(['enstash', 'destash', 'unstash']);
+const allowedModes = new Set(['enstash', 'destash', 'unstash', 'status']);
 const prefersReducedMotion = typeof matchMedia === 'function'
     ? matchMedia('(prefers-reduced-motion: reduce)').matches
     : false;
 let lastCancelTime = 0;
 let enterArmed = true;
+let tokenEnstashConfirmed = false; // Second enstash press on token-like input goes through
 let isBusy = false;
+let consoleOps = 0; // window.stasher calls in flight
+const OP_TIMEOUT_MS = 10000;
+const FILE_OP_TIMEOUT_MS = 120000; // A chunked file takes one request per part
+const SPLIT_OP_TIMEOUT_MS = 60000; // One request per share, plus passphrase prompts when combining
+
+// File mode: a picked file is what enstash sends; a destashed file is offered as a blob download
+let attachedFile: File | null = null;
+let downloadUrl: string | null = null;
+let downloadTimeout: number | null = null;
 
 // Cache TextEncoder for performance
 const enc = new TextEncoder();
@@ -60,8 +167,9 @@ let lastDisplayed: 'Token' | 'Secret' | null = null;
 
 // Find primary button by data attribute for safer targeting
 const primaryButton = safeQuerySelector('[data-mode="enstash"]') as HTMLButtonElement;
+const destashButton = safeQuerySelector('[data-mode="destash"]') as HTMLButtonElement;
 
-if (!primaryButton) {
+if (!primaryButton || !destashButton) {
     throw new Error('Primary button not found');
 }
 
@@ -97,6 +205,7 @@ function scheduleWipe(label: 'Token' | 'Secret', delay = 60000) {
         input.classList.add('clearing');
         secureErase(input);
         input.classList.remove('clearing');
+        setResultActions(null);
         showMessage(`${label} cleared from memory`);
         wipeTimeout = null;
     }, delay);
@@ -109,23 +218,128 @@ function cancelWipe() {
     }
 }
 
-async function runOp(mode: string, value: string) {
+// Transient failures are retried inside the 10s budget - let the user know why it's slow
+function announceRetry(attempt: number, maxAttempts: number): void {
+    showMessage(`Retrying (${attempt}/${maxAttempts})…`);
+}
+
+// One operation in flight at a time, under a time budget (plain signal for waits on the user)
+async function runInflight<T>(task: (linkedSignal: AbortSignal, signal: AbortSignal) => Promise<T>, budgetMs: number = OP_TIMEOUT_MS): Promise<T> {
     inflight?.abort();
     inflight = new AbortController();
     const { signal } = inflight;
 
     try {
         // Add timeout with fallback for older browsers
-        const linkedSignal = withTimeout(signal, 10000);
-        
-        if (mode === 'enstash') return await safePerformEnstash(value, { signal: linkedSignal });
-        if (mode === 'destash') return await safePerformDestash(value, { signal: linkedSignal });
-        return await safePerformUnstash(value, { signal: linkedSignal });
+        return await task(withTimeout(signal, budgetMs), signal);
     } finally {
         if (inflight?.signal === signal) inflight = null;
     }
 }
 
+function runOp(mode: string, value: string): Promise<string> {
+    // A bare ID may be a chunked file's manifest, whose parts are unstashed with it
+    const fileOp = (mode === 'enstash' && attachedFile !== null) || (mode === 'unstash' && (isFileToken(value) || !value.includes(':')));
+    return runInflight(async (linkedSignal, signal) => {
+        if (mode === 'enstash') {
+            const passphrase = passphraseToggle.getAttribute('aria-pressed') === 'true'
+                ? passphraseInput.value
+                : '';
+            // Selects mirror the saved preference, so they are the source of truth
+            const options = {
+                signal: linkedSignal,
+                onRetry: announceRetry,
+                passphrase,
+                ttl: ttlSelect.value ? Number(ttlSelect.value) : undefined,
+                maxViews: Number(viewsSelect.value),
+                // Only when it wouldn't fit otherwise (same character rule as the client) - compressing every secret would leak its compressibility
+                compress: !validateSecretLength(value)
+            };
+            return attachedFile
+                ? await enstashAttachedFile(attachedFile, options)
+                : await safePerformEnstash(value, options);
+        }
+        if (mode === 'destash') {
+            // Prompt waits on the user, so only an explicit cancel (not the request timeout) ends it
+            return await safePerformDestash(value, {
+                signal: linkedSignal,
+                onRetry: announceRetry,
+                getPassphrase: (attempt, maxAttempts) => promptPassphrase(attempt, maxAttempts, signal)
+            });
+        }
+        if (mode === 'status') {
+            return describeStatus(await safePerformStatus(value, { signal: linkedSignal, onRetry: announceRetry }));
+        }
+        return await safePerformUnstash(value, { signal: linkedSignal, onRetry: announceRetry });
+    }, fileOp ? FILE_OP_TIMEOUT_MS : OP_TIMEOUT_MS);
+}
+
+function runFileDestash(value: string): Promise<StashFile> {
+    return runInflight((linkedSignal, signal) => safePerformDestashFile(value, {
+        signal: linkedSignal,
+        onRetry: announceRetry,
+        getPassphrase: (attempt, maxAttempts) => promptPassphrase(attempt, maxAttempts, signal)
+    }), FILE_OP_TIMEOUT_MS);
+}
+
+// User-facing guidance per error code; null = stay quiet (Escape already acknowledged the cancel)
+function errorMessage(error: unknown): string | null {
+    if (!isStasherError(error)) {
+        return error instanceof Error ? error.message : 'Unknown error';
+    }
+    switch (error.code) {
+        case 'aborted':
+            return null;
+        case 'timeout':
+            return 'Request timed out. Please try again.';
+        case 'network':
+            return 'Could not reach Stasher. Check your connection and try again.';
+        case 'rate_limited': {
+            const wait = (error as RateLimitedError).retryAfterSeconds;
+            return wait ? `Too many requests. Try again in ${formatDuration(wait)}.` : 'Too many requests. Try again shortly.';
+        }
+        case 'not_found':
+            return 'Stash not found. Check the token, or it may never have existed.';
+        case 'consumed':
+            return 'This stash has already been opened. Ask the sender for a new one.';
+        case 'expired':
+            return 'This stash has expired. Ask the sender for a new one.';
+        case 'decrypt_failed': {
+            const { reason } = error as DecryptFailedError;
+            if (reason === 'payload_mismatch') return 'This token does not belong to the stash it points at.';
+            if (reason === 'passphrase_invalid') return 'Incorrect passphrase - the stash is gone.';
+            return error.message;
+        }
+        default:
+            return error.message;
+    }
+}
+
+function formatDuration(totalSeconds: number): string {
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${minutes}m`;
+    if (minutes) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+}
+
+function describeStatus(status: StashStatus): string {
+    switch (status.state) {
+        case 'available': {
+            const parts = ['Available'];
+            if (status.remainingSeconds !== undefined) parts.push(`expires in ${formatDuration(status.remainingSeconds)}`);
+            if (status.remainingViews !== undefined) parts.push(`${status.remainingViews} view${status.remainingViews === 1 ? '' : 's'} left`);
+            return parts.join(' - ');
+        }
+        case 'consumed': return 'Consumed - it has already been read';
+        case 'expired': return 'Expired - it was never read in time';
+        default: return 'Not found';
+    }
+}
+
 function createSpinner(): HTMLElement {
     const spinner = safeCreateElement('span');
     spinner.className = prefersReducedMotion ? 'spinner no-animate' : 'spinner';
@@ -137,7 +351,7 @@ function createSpinner(): HTMLElement {
 // Note: Trusted Types policy removed since we use replaceChildren() instead of innerHTML
 
 // Secure memory erasure for input fields (crypto paranoia level)
-function secureErase(inputElement: HTMLInputElement): void {
+function secureErase(inputElement: SecretField): void {
     const len = inputElement.value.length;
     if (len > 0) {
         inputElement.value = '\u0000'.repeat(len);
@@ -149,6 +363,217 @@ function secureErase(inputElement: HTMLInputElement): void {
     }
 }
 
+function formatBytes(bytes: number): string {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Read the picked file only when stashing; our copy of the bytes is zeroed once the worker has its own
+async function enstashAttachedFile(file: File, options: EnstashOptions): Promise<string> {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    try {
+        return await safePerformEnstashFile({ name: file.name, type: file.type, bytes }, options);
+    } finally {
+        zeroUint8(bytes);
+    }
+}
+
+function attachFile(file: File | null): void {
+    attachedFile = file;
+    fileInput.value = ''; // Picking the same file again still fires change
+    fileChip.hidden = !file;
+    fileName.textContent = file ? `${file.name} (${formatBytes(file.size)})` : '';
+    fileToggle.setAttribute('aria-pressed', String(!!file));
+}
+
+function isFileToken(value: string): boolean {
+    const decoded = tryDecodeStashToken(value);
+    if (!decoded) return false;
+    zeroUint8(decoded.keyBuffer); // Only the flags are needed
+    return hasTokenFlag(decoded, TOKEN_FLAGS.FILE);
+}
+
+// The sender picked the name: keep it a plain file name (no paths, control characters or leading dots)
+function safeFileName(name: string): string {
+    const cleaned = name.replace(/[\u0000-\u001f\u007f/\\]/g, '_').replace(/^[.\s]+/, '').trim();
+    return cleaned.slice(0, 255) || 'stash-file';
+}
+
+// The blob is typed octet-stream whatever the header says, so opening the URL can never render it as our page
+function offerDownload(file: StashFile): void {
+    revokeDownload();
+    // Transferred from the worker, so always backed by a plain ArrayBuffer
+    const blob = new Blob([file.bytes as Uint8Array<ArrayBuffer>], { type: 'application/octet-stream' });
+    zeroUint8(file.bytes); // The blob holds its own copy
+    const name = safeFileName(file.name);
+    downloadUrl = URL.createObjectURL(blob);
+    fileDownload.href = downloadUrl;
+    fileDownload.download = name;
+    fileDownload.textContent = `download ${name} (${formatBytes(blob.size)})`;
+    fileDownload.hidden = false;
+    downloadTimeout = window.setTimeout(() => {
+        revokeDownload();
+        showMessage('File link revoked');
+    }, 60000);
+}
+
+function revokeDownload(): void {
+    if (downloadTimeout !== null) {
+        clearTimeout(downloadTimeout);
+        downloadTimeout = null;
+    }
+    if (downloadUrl) {
+        URL.revokeObjectURL(downloadUrl);
+        downloadUrl = null;
+    }
+    fileDownload.removeAttribute('href');
+    fileDownload.textContent = '';
+    fileDownload.hidden = true;
+}
+
+// What the input holds decides which operation Enter runs (and which button is highlighted)
+type InputKind = 'token' | 'link' | 'id' | 'secret';
+
+const SUGGESTED_MODE: Record<InputKind, string> = {
+    token: 'destash',
+    link: 'destash',
+    id: 'status', // Non-consuming; unstash stays one deliberate click away
+    secret: 'enstash'
+};
+
+// A whole share link (https://…/s/<uuid>#<key>) stands for its token
+function shareLinkToken(value: string): string | null {
+    if (!/^https?:\/\//i.test(value)) return null;
+    try {
+        const url = new URL(value);
+        return parseShareLink(url.pathname, url.hash);
+    } catch {
+        return null;
+    }
+}
+
+function detectInput(value: string): InputKind {
+    const trimmed = value.trim();
+    if (!trimmed || /[\r\n]/.test(trimmed)) return 'secret';
+    if (tryDecodeStashToken(trimmed)) return 'token';
+    if (shareLinkToken(trimmed)) return 'link';
+    if (!trimmed.includes(':') && parseUUID(trimmed)) return 'id';
+    return 'secret';
+}
+
+// A result on screen (e.g. our own fresh token) has no suggestion - one Enter must not burn it
+function suggestedOperation(): HTMLButtonElement | null {
+    if (lastDisplayed) return null;
+    const mode = attachedFile ? 'enstash' : SUGGESTED_MODE[detectInput(input.value)];
+    return Array.from(operations).find(op => op.dataset.mode === mode) ?? null;
+}
+
+function updateSuggestion(): void {
+    const suggested = suggestedOperation();
+    operations.forEach(op => op.classList.toggle('suggested', op === suggested));
+}
+
+// Swap between single-line and multiline fields; carry=false wipes instead of moving the value
+function setMultiline(on: boolean, carry: boolean = true): boolean {
+    const next: SecretField = on ? multiLineInput : singleLineInput;
+    if (next === input) return true;
+    
+    // Collapsing would mangle newlines, so refuse rather than silently join lines
+    if (!on && carry && input.value.includes('\n')) {
+        showMessage('Secret spans multiple lines. Clear it before switching to single-line.', true);
+        return false;
+    }
+    
+    const prev = input;
+    if (carry) {
+        next.value = prev.value;
+    }
+    secureErase(prev);
+    prev.removeAttribute('id');
+    next.id = 'main-input';
+    prev.replaceWith(next);
+    input = next;
+    multilineToggle.setAttribute('aria-pressed', String(on));
+    
+    // Re-arm the wipe timer against the moved value
+    cancelWipe();
+    if (carry && lastDisplayed && input.value) scheduleWipe(lastDisplayed);
+    return true;
+}
+
+// Insert text at the caret of the active field (keeps the undo-less, no-clipboard path)
+function insertAtCaret(text: string): void {
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.setRangeText(text, start, end, 'end');
+    cancelWipe();
+}
+
+// Destashed secrets are masked until revealed (screen-shares, shoulder-surfing)
+function setMasked(masked: boolean): void {
+    singleLineInput.type = masked ? 'password' : 'text';
+    multiLineInput.classList.toggle('masked', masked);
+    maskToggle.setAttribute('aria-pressed', String(!masked));
+    maskToggle.title = masked ? 'reveal secret' : 'hide secret';
+}
+
+// Actions offered for what the input currently shows: share link for a token, send-to-page for a secret
+function setResultActions(shown: 'Token' | 'Secret' | null): void {
+    copyLinkButton.hidden = shown !== 'Token';
+    sendToPageButton.hidden = shown !== 'Secret' || !fillSession;
+    maskToggle.hidden = shown !== 'Secret';
+    copySecretButton.hidden = shown !== 'Secret';
+    // A new secret always starts masked; anything else is shown as typed
+    setMasked(shown === 'Secret');
+}
+
+// Passphrase field visibility (enstash option and destash prompt share one field)
+function setPassphraseVisible(visible: boolean): void {
+    passphraseInput.hidden = !visible;
+    passphraseToggle.setAttribute('aria-pressed', String(visible));
+    if (!visible) {
+        secureErase(passphraseInput);
+    }
+}
+
+// Ask for the passphrase of a protected stash; resolves null on cancel
+function promptPassphrase(attempt: number, maxAttempts: number, signal: AbortSignal): Promise<string | null> {
+    return new Promise(resolve => {
+        if (signal.aborted) {
+            resolve(null);
+            return;
+        }
+        
+        secureErase(passphraseInput);
+        setPassphraseVisible(true);
+        passphraseInput.placeholder = `Passphrase for this stash (attempt ${attempt} of ${maxAttempts})`;
+        showMessage(
+            attempt === 1
+                ? 'Stash is passphrase-protected. Enter passphrase and press Enter.'
+                : 'Incorrect passphrase. Try again (the stash is already consumed).',
+            attempt > 1
+        );
+        try {
+            passphraseInput.focus();
+        } catch {}
+        
+        const finish = (value: string | null) => {
+            passphraseInput.removeEventListener('keydown', onKey);
+            signal.removeEventListener('abort', onAbort);
+            secureErase(passphraseInput);
+            resolve(value);
+        };
+        const onKey = (e: KeyboardEvent) => {
+            if (e.key === 'Enter' && passphraseInput.value) {
+                e.preventDefault();
+                finish(passphraseInput.value);
+            }
+        };
+        const onAbort = () => finish(null);
+        
+        add.call(passphraseInput, 'keydown', onKey as EventListener);
+        add.call(signal, 'abort', onAbort, { once: true });
+    });
+}
 
 // Show message
 function showMessage(text: string, isError: boolean = false): void {
@@ -163,6 +588,62 @@ function clearMessage(): void {
     message.removeAttribute('role');
 }
 
+// Toggle the optional enstash passphrase
+add.call(passphraseToggle, 'click', () => {
+    if (isBusy) return;
+    const visible = passphraseInput.hidden;
+    passphraseInput.placeholder = 'Passphrase (optional, min 8 characters)';
+    setPassphraseVisible(visible);
+    try {
+        (visible ? passphraseInput : input).focus();
+    } catch {}
+});
+
+// Stash expiry and view count selectors, persisted as preferences
+function syncOptionSelects(): void {
+    const { ttl, maxViews, clipboardClearSeconds } = loadPreferences();
+    ttlSelect.value = ttl === null ? '' : String(ttl);
+    viewsSelect.value = String(maxViews);
+    clipboardSelect.value = String(clipboardClearSeconds);
+    // Stored value may not be one of the presets; fall back to the first option
+    if (ttlSelect.selectedIndex === -1) ttlSelect.selectedIndex = 0;
+    if (viewsSelect.selectedIndex === -1) viewsSelect.selectedIndex = 0;
+    if (clipboardSelect.selectedIndex === -1) clipboardSelect.selectedIndex = 0;
+}
+
+add.call(ttlSelect, 'change', () => {
+    savePreferences({ ttl: ttlSelect.value ? Number(ttlSelect.value) : null });
+});
+add.call(viewsSelect, 'change', () => {
+    savePreferences({ maxViews: Number(viewsSelect.value) });
+});
+add.call(clipboardSelect, 'change', () => {
+    savePreferences({ clipboardClearSeconds: Number(clipboardSelect.value) });
+    if (clipboardSelect.value === '0') cancelClipboardClear();
+});
+
+function reportClipboardClear(outcome: ClipboardClearOutcome): void {
+    if (outcome === 'cleared') showMessage('Clipboard cleared');
+    else if (outcome === 'unverifiable') showMessage('Could not check the clipboard - clear it manually', true);
+    else if (outcome === 'failed') showMessage('Could not clear the clipboard - clear it manually', true);
+    // 'replaced': something else was copied since, nothing of ours is left
+}
+
+// Schedule the wipe of what we just copied; returns a hint for the status message
+function clearClipboardLater(text: string): string {
+    const seconds = Number(clipboardSelect.value);
+    armClipboardClear(text, seconds, reportClipboardClear);
+    return seconds ? ` (clears in ${formatDuration(seconds)})` : '';
+}
+
+// Copy and schedule the wipe in one step; throws if the clipboard is blocked
+async function copyToClipboard(text: string): Promise<string> {
+    await navigator.clipboard.writeText(text);
+    return clearClipboardLater(text);
+}
+
+syncOptionSelects();
+
 // Handle clear button with secure clearing
 add.call(clearButton, 'click', () => {
     cancelWipe(); // Cancel any pending wipe timer
@@ -173,22 +654,82 @@ add.call(clearButton, 'click', () => {
         secureErase(input);
         input.classList.remove('clearing');
     }, 100);
+    setPassphraseVisible(false);
+    setResultActions(null);
+    attachFile(null);
+    revokeDownload();
+    clearSplitShares();
+    tokenEnstashConfirmed = false;
+    updateSuggestion();
     clearMessage();
 });
 
+// Reveal a secret from a share link - nothing is fetched until the recipient asks
+add.call(revealButton, 'click', () => {
+    if (isBusy || !pendingShareToken) return;
+    setMultiline(false, false);
+    input.value = pendingShareToken;
+    pendingShareToken = null;
+    revealButton.hidden = true;
+    destashButton.click();
+});
+
+add.call(maskToggle, 'click', () => {
+    if (lastDisplayed !== 'Secret') return;
+    setMasked(maskToggle.getAttribute('aria-pressed') === 'true');
+});
+
+// Copy without revealing - masked fields can't be selected and copied by hand
+add.call(copySecretButton, 'click', async () => {
+    if (isBusy || lastDisplayed !== 'Secret') return;
+    try {
+        showMessage(`Secret copied to clipboard${await copyToClipboard(input.value)}`);
+        // Restart the wipe countdown - users often paste and come back
+        scheduleWipe('Secret');
+    } catch {
+        showMessage('Could not copy secret (clipboard blocked)', true);
+    }
+});
+
+// Post the destashed secret to the fill bookmarklet's page - never via the system clipboard
+add.call(sendToPageButton, 'click', () => {
+    if (isBusy || lastDisplayed !== 'Secret' || !fillSession) return;
+    const { origin } = fillSession;
+    const sent = sendToOpener(fillSession, 'stasher:fill', { secret: input.value });
+    fillSession = null; // One secret per bookmarklet click
+    setResultActions(null);
+    if (!sent) {
+        showMessage('The page that opened Stasher is gone', true);
+        return;
+    }
+    cancelWipe();
+    lastDisplayed = null;
+    secureErase(input);
+    showMessage(`Secret sent to ${origin}`);
+});
+
+// Copy the current token as a share link (key stays in the #fragment)
+add.call(copyLinkButton, 'click', async () => {
+    if (isBusy || lastDisplayed !== 'Token') return;
+    let link: string;
+    try {
+        link = formatShareLink(input.value.trim(), location.origin);
+    } catch {
+        showMessage('No stash token to share', true);
+        return;
+    }
+    try {
+        showMessage(`Share link copied to clipboard${await copyToClipboard(link)}`);
+    } catch {
+        showMessage('Could not copy link (clipboard blocked)', true);
+    }
+    link = ''; // Clear sensitive reference early
+});
+
 // Handle operation buttons
 operations.forEach(op => {
     add.call(op, 'click', async () => {
-        if (isBusy || op.classList.contains('working') || inflight) return; // Prevent double-clicks and race conditions
-        
-        const inputValue = input.value.trim();
-        
-        // Length guard before calling APIs (fast-fail huge pastes) - check bytes not chars
-        const inputBytes = enc.encode(inputValue);
-        if (inputBytes.length > 4096) {
-            showMessage('Input is too large (max 4KB).', true);
-            return;
-        }
+        if (isBusy || consoleOps > 0 || op.classList.contains('working') || inflight) return; // Prevent double-clicks and race conditions
         
         // Normalize and bound mode values
         const mode = (op.dataset.mode ?? '').toLowerCase();
@@ -197,11 +738,46 @@ operations.forEach(op => {
             return;
         }
         
+        // Multiline secrets are stashed byte-for-byte (trailing newline of a PEM matters)
+        let inputValue = mode === 'enstash' && input === multiLineInput
+            ? input.value
+            : input.value.trim();
+        
+        const sendingFile = mode === 'enstash' && attachedFile !== null;
+        if (sendingFile) {
+            inputValue = '';
+        } else if (mode === 'enstash') {
+            // Stashing a token is almost always a mis-pressed Enter - make the user confirm
+            const kind = detectInput(inputValue);
+            if ((kind === 'token' || kind === 'link') && !tokenEnstashConfirmed) {
+                tokenEnstashConfirmed = true;
+                showMessage(`This looks like a stash ${kind}. Press enstash again to stash it anyway.`, true);
+                return;
+            }
+        } else {
+            const linkToken = shareLinkToken(inputValue);
+            if (linkToken) {
+                input.value = linkToken;
+                inputValue = linkToken;
+            }
+        }
+        tokenEnstashConfirmed = false;
+        
+        // Length guard before calling APIs (fast-fail huge pastes) - check bytes not chars
+        // Secrets over 4KB are compressed on enstash, so they may be up to 64KB if they deflate to 4KB
+        const inputBytes = enc.encode(inputValue);
+        const maxInputBytes = mode === 'enstash' ? MAX_INFLATED_SECRET_BYTES : MAX_SECRET_LENGTH;
+        if (inputBytes.length > maxInputBytes) {
+            showMessage(`Input is too large (max ${maxInputBytes / 1024}KB).`, true);
+            return;
+        }
+        
         // Check for empty input
-        if (!inputValue) {
+        if (!sendingFile && !inputValue.trim()) {
             showMessage(
                 mode === 'enstash' ? 'Input secret to stash'
                 : mode === 'destash' ? 'Input a stash id to retrieve'
+                : mode === 'status' ? 'Input a stash id to check'
                 : 'Input a stash id to unstash',
                 true
             );
@@ -216,6 +792,7 @@ operations.forEach(op => {
         
         // Cancel any previous wipe and set working state
         cancelWipe();
+        revokeDownload();
         document.body.classList.add('working');
         document.body.setAttribute('aria-busy', 'true');
         op.classList.add('working');
@@ -229,6 +806,11 @@ operations.forEach(op => {
         op.setAttribute('aria-busy', 'true');
         clearButton.disabled = true;
         clearButton.setAttribute('aria-disabled', 'true');
+        passphraseToggle.disabled = true;
+        multilineToggle.disabled = true;
+        fileToggle.disabled = true;
+        ttlSelect.disabled = true;
+        viewsSelect.disabled = true;
         op.replaceChildren(createSpinner());
         
         try {
@@ -237,8 +819,15 @@ operations.forEach(op => {
             switch(mode) {
                 case 'enstash':
                     result_text = await runOp(mode, inputValue);
+                    attachFile(null);
+                    // Tokens are single-line; wipe the multiline secret rather than carrying it
+                    setMultiline(false, false);
                     input.value = result_text;
                     lastDisplayed = 'Token';
+                    setResultActions('Token');
+                    recordHistory(result_text, ttlSelect.value ? Number(ttlSelect.value) : null);
+                    // Passphrase is shared out-of-band; never leave it on screen
+                    setPassphraseVisible(false);
                     try {
                         input.select(); // Auto-select for quick copy
                     } catch {
@@ -251,11 +840,11 @@ operations.forEach(op => {
                     
                     if (canClipboardNow && document.hasFocus?.()) {
                         try {
-                            await navigator.clipboard.writeText(input.value);
+                            const clearHint = await copyToClipboard(input.value);
                             (document.activeElement as HTMLElement | null)?.blur?.();
                             const sel = window.getSelection?.();
                             sel?.rangeCount && sel.removeAllRanges();
-                            showMessage('Stash created and copied to clipboard');
+                            showMessage(`Stash created and copied to clipboard${clearHint}`);
                             // Reset wipe timer after successful copy (users often paste and return)
                             cancelWipe();
                         } catch {
@@ -272,7 +861,19 @@ operations.forEach(op => {
                     break;
                     
                 case 'destash':
+                    if (isFileToken(inputValue)) {
+                        offerDownload(await runFileDestash(inputValue));
+                        setPassphraseVisible(false);
+                        lastDisplayed = null;
+                        secureErase(input); // The token is spent; nothing secret stays in the field
+                        showMessage('File retrieved - download it before the link is revoked (60s)');
+                        break;
+                    }
                     result_text = await runOp(mode, inputValue);
+                    setPassphraseVisible(false);
+                    setResultActions('Secret');
+                    // Reopen multi-line secrets in the multiline view so newlines survive
+                    setMultiline(result_text.includes('\n'), false);
                     input.value = result_text;
                     lastDisplayed = 'Secret';
                     result_text = ''; // Clear sensitive reference early
@@ -280,14 +881,25 @@ operations.forEach(op => {
                     const sel = window.getSelection?.();
                     sel?.rangeCount && sel.removeAllRanges();
                     (document.activeElement as HTMLElement | null)?.blur?.();
-                    showMessage('Stash retrieved');
+                    showMessage(isShareText(input.value)
+                        ? 'Stash retrieved - it is one share of a split secret, combine it with the others'
+                        : 'Stash retrieved');
                     scheduleWipe('Secret');
                     break;
                     
+                case 'status':
+                    // Peek only: input stays as-is so the user can destash or unstash next
+                    result_text = await runOp(mode, inputValue);
+                    showMessage(result_text);
+                    result_text = '';
+                    break;
+                    
                 case 'unstash':
                     result_text = await runOp(mode, inputValue);
                     result_text = ''; // Clear sensitive reference early
                     lastDisplayed = null; // Nothing to wipe after unstash
+                    setResultActions(null);
+                    forgetHistory(inputValue);
                     // Secure input clearing with memory erasure
                     input.classList.add('clearing');
                     input.value = '[cleared]';
@@ -300,13 +912,10 @@ operations.forEach(op => {
             }
             
         } catch (error: any) {
-            if (error?.name === 'AbortError') {
-                if (String(error?.message || error?.cause).includes('timeout')) {
-                    showMessage('Request timed out. Please try again.', true);
-                }
-                return;
-            }
-            showMessage(error instanceof Error ? error.message : 'Unknown error', true);
+            // A failed destash prompt must not leave the passphrase field behind
+            if (mode === 'destash') setPassphraseVisible(false);
+            const message = errorMessage(error);
+            if (message) showMessage(message, true);
         } finally {
             // Remove spinner cursor and working state
             document.body.classList.remove('working');
@@ -328,17 +937,35 @@ operations.forEach(op => {
             });
             clearButton.disabled = false;
             clearButton.removeAttribute('aria-disabled');
+            passphraseToggle.disabled = false;
+            multilineToggle.disabled = false;
+            fileToggle.disabled = false;
+            ttlSelect.disabled = false;
+            viewsSelect.disabled = false;
             isBusy = false;
+            updateSuggestion();
         }
     });
 });
 
 // Memory hygiene - wipe field on tab hidden or page navigation
 add.call(document, 'visibilitychange', () => {
+    if (document.hidden && passphraseInput.value) {
+        secureErase(passphraseInput);
+    }
+    if (document.hidden && downloadUrl) {
+        revokeDownload();
+        showMessage('File link revoked on tab hide');
+    }
+    if (document.hidden && (splitTokenList.childElementCount > 0 || combineInput.value)) {
+        clearSplitShares();
+        showMessage('Shares cleared on tab hide');
+    }
     if (document.hidden && input.value) {
         inflight?.abort(); // Cancel any in-flight operations
         cancelWipe(); // Cancel any pending wipe
         lastDisplayed = null; // Nothing displayed after clear
+        setResultActions(null);
         input.classList.add('clearing');
         secureErase(input);
         input.classList.remove('clearing');
@@ -349,36 +976,140 @@ add.call(document, 'visibilitychange', () => {
 add.call(window, 'pagehide', () => {
     inflight?.abort(); // Cancel any in-flight operations
     cancelWipe(); // Cancel any pending wipe
+    revokeDownload();
+    attachFile(null);
+    clearSplitShares();
     lastDisplayed = null; // Nothing displayed after clear
+    pendingShareToken = null;
     if (input.value) {
         secureErase(input);
     }
+    secureErase(passphraseInput);
 }, { passive: true });
 
 // Handle Enter key for primary action (enstash) with key-repeat prevention
-add.call(input, 'keydown', (e: KeyboardEvent) => {
-    if (e.key === 'Enter' && enterArmed && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+// Single-line: Enter submits, Shift+Enter switches to multiline. Multiline: Enter is a newline, Ctrl/Cmd+Enter submits.
+function onSecretKeydown(e: KeyboardEvent) {
+    if (e.key !== 'Enter' || e.isComposing) return;
+    
+    if (input === singleLineInput && e.shiftKey && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        if (!isBusy && setMultiline(true)) {
+            insertAtCaret('\n');
+            try {
+                input.focus();
+            } catch {}
+        }
+        return;
+    }
+    
+    const submit = input === multiLineInput
+        ? (e.ctrlKey || e.metaKey)
+        : (!e.shiftKey && !e.ctrlKey && !e.metaKey);
+    if (submit && enterArmed) {
         enterArmed = false;
         e.preventDefault();
-        if (primaryButton && !primaryButton.disabled && !primaryButton.classList.contains('working')) {
-            primaryButton.click();
+        const target = suggestedOperation();
+        if (!target) {
+            showMessage('Clear the field to start a new operation');
+        } else if (!target.disabled && !target.classList.contains('working')) {
+            target.click();
         }
         setTimeout(() => { enterArmed = true; }, 250);
     }
+}
+
+// Pasting multi-line text into the single-line field would drop the newlines - switch first
+add.call(singleLineInput, 'paste', ((e: ClipboardEvent) => {
+    const text = e.clipboardData?.getData('text/plain') ?? '';
+    if (!/[\r\n]/.test(text) || isBusy) return;
+    e.preventDefault();
+    if (setMultiline(true)) {
+        insertAtCaret(text.replace(/\r\n?/g, '\n'));
+        showMessage('Switched to multiline mode');
+        try {
+            input.focus();
+        } catch {}
+    }
+}) as EventListener);
+
+// Toggle multiline mode explicitly
+add.call(multilineToggle, 'click', () => {
+    if (isBusy) return;
+    if (setMultiline(input !== multiLineInput)) {
+        try {
+            input.focus();
+        } catch {}
+    }
 });
 
-// Cancel wipe if user starts typing something new or loses focus
-add.call(input, 'input', () => cancelWipe());
-add.call(input, 'blur', cancelWipe);
+// File mode - the picker replaces whatever was typed; size is checked up front for a clear error
+add.call(fileToggle, 'click', () => {
+    if (isBusy) return;
+    fileInput.click();
+});
 
-// Cancel wipe when user copies, then re-arm to avoid surprise nuke during clipboard workflow
-add.call(input, 'copy', () => {
+add.call(fileInput, 'change', () => {
+    const file = fileInput.files?.[0] ?? null;
+    if (!file) return;
+    if (file.size === 0) {
+        attachFile(null);
+        showMessage('That file is empty', true);
+        return;
+    }
+    // Chunked files need bindId, which the API does not support yet - stay within one stash
+    if (file.size > MAX_SINGLE_FILE_BYTES) {
+        attachFile(null);
+        showMessage(`File too large: ${formatBytes(file.size)} (max ${formatBytes(MAX_SINGLE_FILE_BYTES)})`, true);
+        return;
+    }
     cancelWipe();
-    setTimeout(() => { if (lastDisplayed) scheduleWipe(lastDisplayed); }, 1000);
+    lastDisplayed = null;
+    setResultActions(null);
+    secureErase(input);
+    revokeDownload();
+    attachFile(file);
+    tokenEnstashConfirmed = false;
+    updateSuggestion();
+    showMessage('File attached - enstash to share it');
 });
 
+add.call(fileRemove, 'click', () => {
+    attachFile(null);
+    updateSuggestion();
+    clearMessage();
+});
+
+for (const field of [singleLineInput, multiLineInput]) {
+    add.call(field, 'keydown', onSecretKeydown as EventListener);
+    
+    // Cancel wipe if user starts typing something new or loses focus
+    add.call(field, 'input', () => {
+        cancelWipe();
+        setResultActions(null);
+        // Typing a secret (or pasting a token) replaces the attached file
+        if (attachedFile) attachFile(null);
+        // Edited away from the displayed result - treat it as fresh input
+        lastDisplayed = null;
+        tokenEnstashConfirmed = false;
+        updateSuggestion();
+    });
+    add.call(field, 'blur', cancelWipe);
+    
+    // Cancel wipe when user copies, then re-arm to avoid surprise nuke during clipboard workflow
+    add.call(field, 'copy', () => {
+        // Manual copies of a token or secret get the same clipboard wipe
+        if (lastDisplayed) {
+            const selected = field.value.slice(field.selectionStart ?? 0, field.selectionEnd ?? 0);
+            if (selected) clearClipboardLater(selected);
+        }
+        cancelWipe();
+        setTimeout(() => { if (lastDisplayed) scheduleWipe(lastDisplayed); }, 1000);
+    });
+}
+
 // Cancel operations on Escape key with debounced acknowledgment
-add.call(document, 'keydown', (e: KeyboardEvent) => {
+add.call(document, 'keydown', ((e: KeyboardEvent) => {
     if (e.key === 'Escape' && inflight) {
         inflight.abort();
         const now = Date.now();
@@ -387,28 +1118,38 @@ add.call(document, 'keydown', (e: KeyboardEvent) => {
         }
         lastCancelTime = now;
     }
-});
+}) as EventListener);
 
 // Configure input for secrets - disable auto-everything
-input.autocomplete = 'new-password'; // Reduce autofill nags
-input.autocapitalize = 'off';
-input.spellcheck = false;
-(input as any).enterKeyHint = 'done';
-(input as any).inputMode = 'text';
-input.setAttribute('autocorrect', 'off'); // iOS fix
-// Keep password managers away
-input.setAttribute('data-1p-ignore', 'true'); // 1Password
-input.setAttribute('data-lpignore', 'true');  // LastPass
+for (const field of [singleLineInput, multiLineInput]) {
+    field.autocomplete = 'new-password'; // Reduce autofill nags
+    field.autocapitalize = 'off';
+    field.spellcheck = false;
+    (field as any).inputMode = 'text';
+    field.setAttribute('autocorrect', 'off'); // iOS fix
+    // Keep password managers away
+    field.setAttribute('data-1p-ignore', 'true'); // 1Password
+    field.setAttribute('data-lpignore', 'true');  // LastPass
+}
+(singleLineInput as any).enterKeyHint = 'done';
+(multiLineInput as any).enterKeyHint = 'enter';
+multiLineInput.setAttribute('aria-label', 'Multi-line secret');
+
+// Passphrase field gets the same treatment (password type already blocks most autofill)
+passphraseInput.setAttribute('data-1p-ignore', 'true');
+passphraseInput.setAttribute('data-lpignore', 'true');
 
 // Prevent drag/drop and middle-click paste (avoid accidental secret dumps)
-add.call(input, 'drop', (e: DragEvent) => {
-    e.preventDefault();
-    e.stopPropagation();
-});
-add.call(input, 'dragover', (e: DragEvent) => e.preventDefault());
-add.call(input, 'auxclick', (e: MouseEvent) => {
-    if (e.button === 1) e.preventDefault(); // Block middle-click paste
-});
+for (const field of [singleLineInput, multiLineInput, passphraseInput]) {
+    add.call(field, 'drop', (e: Event) => {
+        e.preventDefault();
+        e.stopPropagation();
+    });
+    add.call(field, 'dragover', (e: Event) => e.preventDefault());
+    add.call(field, 'auxclick', ((e: MouseEvent) => {
+        if (e.button === 1) e.preventDefault(); // Block middle-click paste
+    }) as EventListener);
+}
 
 // Note: role="status" already implies aria-live="polite", so no need for explicit aria-live
 
@@ -418,11 +1159,549 @@ if (form) {
     add.call(form, 'submit', (e: Event) => e.preventDefault());
 }
 
+// Local history of created stashes (opt-in, IDs only) for later revocation
+let historyEnabled = loadPreferences().historyEnabled;
+
+function recordHistory(token: string, ttl: number | null): void {
+    if (!historyEnabled) return;
+    const id = parseUUID(token); // ID only - the key part of the token is never stored
+    if (!id) return;
+    const decoded = tryDecodeStashToken(token);
+    if (decoded) zeroUint8(decoded.keyBuffer);
+    addHistoryEntry({
+        id,
+        createdAt: Date.now(),
+        label: '',
+        ttl,
+        ...(decoded && hasTokenFlag(decoded, TOKEN_FLAGS.CHUNKED) && { chunked: true })
+    }).then(() => {
+        if (!historyPanel.hidden) void renderHistory();
+    }).catch(() => {
+        showMessage('Stash created, but history could not be saved', true);
+    });
+}
+
+// Revoked stashes no longer need a history row
+function forgetHistory(tokenOrId: string): void {
+    const id = parseUUID(tokenOrId);
+    if (!historyEnabled || !id) return;
+    removeHistoryEntry(id).then(() => {
+        if (!historyPanel.hidden) void renderHistory();
+    }).catch(() => {});
+}
+
+function historyNotice(text: string): HTMLElement {
+    const item = safeCreateElement('li');
+    item.className = 'history-item empty';
+    item.textContent = text;
+    return item;
+}
+
+async function renderHistory(): Promise<void> {
+    historyEnabledBox.checked = historyEnabled;
+    if (!historyEnabled) {
+        historyList.replaceChildren(historyNotice('History is off'));
+        return;
+    }
+    let entries: HistoryEntry[];
+    try {
+        entries = await listHistory();
+    } catch {
+        historyList.replaceChildren(historyNotice('History unavailable in this browser'));
+        return;
+    }
+    historyList.replaceChildren(
+        ...(entries.length ? entries.map(createHistoryRow) : [historyNotice('No stashes yet')])
+    );
+}
+
+// Run a history row action as the single in-flight operation (same lock as the main buttons)
+async function runHistoryOp<T>(task: (signal: AbortSignal) => Promise<T>, budgetMs: number = OP_TIMEOUT_MS): Promise<T | undefined> {
+    if (isBusy || consoleOps > 0 || inflight) {
+        showMessage('Wait for the current operation to finish', true);
+        return undefined;
+    }
+    isBusy = true;
+    const ctl = new AbortController();
+    inflight = ctl;
+    try {
+        return await task(withTimeout(ctl.signal, budgetMs));
+    } catch (error: any) {
+        const message = errorMessage(error);
+        if (message) showMessage(message, true);
+        return undefined;
+    } finally {
+        if (inflight === ctl) inflight = null;
+        isBusy = false;
+    }
+}
+
+function createHistoryRow(entry: HistoryEntry): HTMLElement {
+    const item = safeCreateElement('li');
+    item.className = 'history-item';
+    
+    const label = safeCreateElement('input');
+    label.type = 'text';
+    label.className = 'history-label';
+    label.value = entry.label;
+    label.placeholder = 'add a label';
+    label.maxLength = MAX_LABEL_LENGTH;
+    label.spellcheck = false;
+    label.setAttribute('aria-label', `Label for stash ${entry.id}`);
+    add.call(label, 'change', () => {
+        updateHistoryLabel(entry.id, label.value).catch(() => showMessage('Could not save label', true));
+    });
+    
+    const meta = safeCreateElement('span');
+    meta.className = 'history-meta';
+    const age = formatDuration(Math.max(0, Math.floor((Date.now() - entry.createdAt) / 1000)));
+    const ttl = entry.ttl ? formatDuration(entry.ttl) : 'default';
+    meta.textContent = `${entry.id.slice(0, 8)} · ${age} ago · ttl ${ttl}`;
+    meta.title = entry.id;
+    
+    const makeAction = (text: string, className: string, onClick: () => void) => {
+        const button = safeCreateElement('button');
+        button.className = `history-action ${className}`;
+        button.textContent = text;
+        add.call(button, 'click', onClick);
+        return button;
+    };
+    
+    const statusButton = makeAction('status', 'status', async () => {
+        const status = await runHistoryOp(signal => safePerformStatus(entry.id, { signal, onRetry: announceRetry }));
+        if (status) {
+            meta.textContent = `${entry.id.slice(0, 8)} · ${describeStatus(status)}`;
+        }
+    });
+    
+    const unstashButton = makeAction('unstash', 'unstash', async () => {
+        const result = await runHistoryOp(
+            signal => safePerformUnstash(entry.id, { signal, onRetry: announceRetry, chunked: entry.chunked === true }),
+            entry.chunked ? FILE_OP_TIMEOUT_MS : OP_TIMEOUT_MS
+        );
+        if (result !== undefined) {
+            await removeHistoryEntry(entry.id).catch(() => {});
+            item.remove();
+            showMessage(`Stash ${entry.id.slice(0, 8)} revoked`);
+        }
+    });
+    
+    const forgetButton = makeAction('forget', 'forget', async () => {
+        await removeHistoryEntry(entry.id).catch(() => {});
+        item.remove();
+    });
+    
+    item.append(label, meta, statusButton, unstashButton, forgetButton);
+    return item;
+}
+
+add.call(historyToggle, 'click', () => {
+    const visible = historyPanel.hidden;
+    historyPanel.hidden = !visible;
+    historyToggle.setAttribute('aria-expanded', String(visible));
+    if (visible) void renderHistory();
+});
+
+// Opting out forgets everything already recorded
+add.call(historyEnabledBox, 'change', async () => {
+    historyEnabled = historyEnabledBox.checked;
+    savePreferences({ historyEnabled });
+    if (!historyEnabled) {
+        await clearHistory().catch(() => {});
+        showMessage('History turned off and cleared');
+    } else {
+        showMessage('History on - stash IDs you create are kept on this device');
+    }
+    await renderHistory();
+});
+
+// Secret generator - the value goes straight into the masked field, never shown unless revealed
+function readGeneratorOptions(): GeneratorOptions {
+    return {
+        style: generatorStyle.value as GeneratorStyle,
+        length: Number(generatorLength.value),
+        lower: classBoxes.lower.checked,
+        upper: classBoxes.upper.checked,
+        digits: classBoxes.digits.checked,
+        symbols: classBoxes.symbols.checked
+    };
+}
+
+function updateGeneratorStrength(): void {
+    const options = readGeneratorOptions();
+    const { min, max } = GENERATOR_LIMITS[options.style];
+    generatorStrength.textContent = Number.isInteger(options.length) && options.length >= min && options.length <= max
+        ? `≈ ${Math.floor(estimateEntropyBits(options))} bits`
+        : `${min}-${max}`;
+}
+
+function resetGeneratorLength(): void {
+    const limits = GENERATOR_LIMITS[generatorStyle.value as GeneratorStyle];
+    generatorLength.min = String(limits.min);
+    generatorLength.max = String(limits.max);
+    generatorLength.value = String(limits.default);
+    generatorLength.title = generatorStyle.value === 'passphrase' ? 'words'
+        : generatorStyle.value === 'password' ? 'characters'
+        : 'random bytes';
+    generatorClasses.hidden = generatorStyle.value !== 'password';
+    updateGeneratorStrength();
+}
+
+// Returns false (with a message) when the options are invalid
+function fillGenerated(): boolean {
+    let secret: string;
+    try {
+        secret = generateSecret(readGeneratorOptions());
+    } catch (error) {
+        showMessage(error instanceof Error ? error.message : 'Could not generate a secret', true);
+        return false;
+    }
+    setMultiline(false, false);
+    cancelWipe();
+    lastDisplayed = 'Secret';
+    setResultActions('Secret'); // Masks before the value lands in the field
+    input.value = secret;
+    secret = ''; // Clear sensitive reference early
+    tokenEnstashConfirmed = false;
+    updateSuggestion();
+    scheduleWipe('Secret');
+    return true;
+}
+
+add.call(generatorToggle, 'click', () => {
+    const visible = generatorPanel.hidden;
+    generatorPanel.hidden = !visible;
+    generatorToggle.setAttribute('aria-expanded', String(visible));
+});
+
+add.call(generatorStyle, 'change', resetGeneratorLength);
+add.call(generatorLength, 'input', updateGeneratorStrength);
+for (const box of Object.values(classBoxes)) {
+    add.call(box, 'change', updateGeneratorStrength);
+}
+
+add.call(generateButton, 'click', () => {
+    if (isBusy) return;
+    if (fillGenerated()) {
+        showMessage('Secret generated - reveal or copy it, or press enstash');
+    }
+});
+
+add.call(generateEnstashButton, 'click', () => {
+    if (isBusy || consoleOps > 0 || inflight) return;
+    if (fillGenerated()) {
+        primaryButton.click();
+    }
+});
+
+resetGeneratorLength();
+
+// Split mode - Shamir shares of the secret in the field, one stash each; combine destashes them and rebuilds it
+function clearSplitShares(): void {
+    splitTokenList.querySelectorAll('input').forEach(field => secureErase(field));
+    splitTokenList.replaceChildren();
+    secureErase(combineInput);
+}
+
+function createShareRow(token: string, index: number, total: number): HTMLElement {
+    const item = safeCreateElement('li');
+    item.className = 'history-item';
+    
+    const meta = safeCreateElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `share ${index + 1}/${total}`;
+    
+    // Read-only so it can still be selected by hand when the clipboard is blocked
+    const field = safeCreateElement('input');
+    field.type = 'text';
+    field.readOnly = true;
+    field.className = 'history-label split-token';
+    field.value = token;
+    field.spellcheck = false;
+    field.setAttribute('aria-label', `Share ${index + 1} token`);
+    
+    const copyButton = safeCreateElement('button');
+    copyButton.className = 'history-action';
+    copyButton.textContent = 'copy';
+    add.call(copyButton, 'click', async () => {
+        try {
+            showMessage(`Share ${index + 1} copied to clipboard${await copyToClipboard(field.value)}`);
+        } catch {
+            showMessage('Could not copy share (clipboard blocked)', true);
+        }
+    });
+    
+    item.append(meta, field, copyButton);
+    return item;
+}
+
+add.call(splitToggle, 'click', () => {
+    const visible = splitPanel.hidden;
+    splitPanel.hidden = !visible;
+    splitToggle.setAttribute('aria-expanded', String(visible));
+});
+
+add.call(splitButton, 'click', async () => {
+    if (attachedFile) {
+        showMessage('Files cannot be split - remove the file first', true);
+        return;
+    }
+    const secret = input === multiLineInput ? input.value : input.value.trim();
+    if (!secret.trim() || lastDisplayed === 'Token') {
+        showMessage('Input a secret to split', true);
+        return;
+    }
+    const kind = detectInput(secret);
+    if (kind === 'token' || kind === 'link') {
+        showMessage(`This looks like a stash ${kind} - split the secret itself`, true);
+        return;
+    }
+    
+    const [threshold, shares] = splitScheme.value.split('/').map(Number);
+    const ttl = ttlSelect.value ? Number(ttlSelect.value) : undefined;
+    const passphrase = passphraseToggle.getAttribute('aria-pressed') === 'true' ? passphraseInput.value : '';
+    clearSplitShares();
+    const tokens = await runHistoryOp(signal => safePerformEnstashSplit(secret, {
+        signal,
+        onRetry: announceRetry,
+        passphrase,
+        ttl,
+        maxViews: Number(viewsSelect.value),
+        shares,
+        threshold
+    }), SPLIT_OP_TIMEOUT_MS);
+    if (!tokens) return;
+    
+    splitTokenList.replaceChildren(...tokens.map((token, i) => createShareRow(token, i, tokens.length)));
+    tokens.forEach(token => recordHistory(token, ttl ?? null));
+    // The shares replace the secret; never leave it (or the shared passphrase) on screen
+    cancelWipe();
+    lastDisplayed = null;
+    setResultActions(null);
+    secureErase(input);
+    setPassphraseVisible(false);
+    updateSuggestion();
+    showMessage(`Split into ${shares} stashes - any ${threshold} rebuild the secret. Give each share to a different person.`);
+});
+
+add.call(combineButton, 'click', async () => {
+    const tokens = combineInput.value.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => shareLinkToken(line) ?? line);
+    if (tokens.length < MIN_SHARES) {
+        showMessage(`Paste at least ${MIN_SHARES} share tokens, one per line`, true);
+        return;
+    }
+    if (tokens.some(token => detectInput(token) !== 'token')) {
+        showMessage('Every line must be a stash token or share link', true);
+        return;
+    }
+    if (new Set(tokens).size !== tokens.length) {
+        showMessage('The same share is pasted twice', true);
+        return;
+    }
+    
+    let secret = await runHistoryOp(async signal => {
+        const shareTexts: string[] = [];
+        for (const token of tokens) {
+            const text = await safePerformDestash(token, {
+                signal,
+                onRetry: announceRetry,
+                getPassphrase: (attempt, maxAttempts) => promptPassphrase(attempt, maxAttempts, signal)
+            });
+            if (!isShareText(text)) {
+                throw new Error(`Share ${shareTexts.length + 1} is an ordinary stash, not a share - it is now spent`);
+            }
+            shareTexts.push(text);
+            // The first share tells us the threshold: stop before burning more than needed, or any at all in vain
+            const { threshold, y } = parseShareText(text);
+            zeroUint8(y);
+            if (tokens.length < threshold) {
+                throw new Error(`This secret needs ${threshold} shares - paste them all (share 1 is now spent)`);
+            }
+            if (shareTexts.length === threshold) break;
+        }
+        return combineSecret(shareTexts);
+    }, SPLIT_OP_TIMEOUT_MS);
+    setPassphraseVisible(false);
+    if (secret === undefined) return;
+    
+    secureErase(combineInput);
+    setResultActions('Secret');
+    setMultiline(secret.includes('\n'), false);
+    input.value = secret;
+    lastDisplayed = 'Secret';
+    secret = ''; // Clear sensitive reference early
+    updateSuggestion();
+    showMessage('Shares combined - secret rebuilt');
+    scheduleWipe('Secret');
+});
+
+// Inactivity auto-close - wipes fields, kills the crypto worker and closes the popup
+const AUTO_CLOSE_PRESETS = [30, 60, 120, 300, 0];
+let autoCloseSeconds = loadPreferences().autoCloseSeconds;
+let inactivityDeadline = 0;
+let inactivityInterval: number | null = null;
+// Reduced motion: step the countdown in 5s increments instead of changing every second
+const timerStepSeconds = prefersReducedMotion ? 5 : 1;
+
+function renderTimer(remainingMs: number): void {
+    timerDisplay.classList.add('visible');
+    if (!autoCloseSeconds) {
+        timerDisplay.textContent = 'off';
+        timerDisplay.classList.remove('warning', 'danger');
+        return;
+    }
+    const seconds = Math.max(0, Math.ceil(remainingMs / 1000 / timerStepSeconds) * timerStepSeconds);
+    timerDisplay.textContent = `${seconds}s`;
+    timerDisplay.classList.toggle('warning', seconds <= 10 && seconds > 5);
+    timerDisplay.classList.toggle('danger', seconds <= 5);
+}
+
+function resetInactivityTimer(): void {
+    if (inactivityInterval !== null) {
+        clearInterval(inactivityInterval);
+        inactivityInterval = null;
+    }
+    if (!autoCloseSeconds) {
+        renderTimer(0);
+        return;
+    }
+    // Deadline-based so background tab throttling can't stretch the timeout
+    inactivityDeadline = Date.now() + autoCloseSeconds * 1000;
+    renderTimer(autoCloseSeconds * 1000);
+    inactivityInterval = window.setInterval(tickInactivityTimer, 1000);
+}
+
+function tickInactivityTimer(): void {
+    // An operation in flight counts as activity (never close mid-request or mid-prompt)
+    if (isBusy || consoleOps > 0) {
+        inactivityDeadline = Date.now() + autoCloseSeconds * 1000;
+    }
+    const remaining = inactivityDeadline - Date.now();
+    if (remaining <= 0) {
+        void expireSession();
+        return;
+    }
+    renderTimer(remaining);
+}
+
+async function expireSession(): Promise<void> {
+    if (inactivityInterval !== null) {
+        clearInterval(inactivityInterval);
+        inactivityInterval = null;
+    }
+    inflight?.abort();
+    cancelWipe();
+    lastDisplayed = null;
+    pendingShareToken = null;
+    revealButton.hidden = true;
+    setResultActions(null);
+    secureErase(input);
+    attachFile(null);
+    revokeDownload();
+    clearSplitShares();
+    setPassphraseVisible(false);
+    terminateCryptoManager();
+    renderTimer(0);
+    // Don't leave a copied token behind when the window goes away
+    await flushClipboardClear();
+    
+    window.close();
+    // Only script-opened windows can close; otherwise stay open but wiped until next interaction
+    showMessage('Closed after inactivity - fields wiped');
+}
+
+// Any interaction restarts the countdown
+for (const type of ['pointerdown', 'keydown', 'input', 'wheel', 'touchstart']) {
+    add.call(document, type, resetInactivityTimer, { passive: true, capture: true });
+}
+
+// Click the timer to cycle the auto-close delay (saved as a preference)
+add.call(timerDisplay, 'click', () => {
+    const index = AUTO_CLOSE_PRESETS.indexOf(autoCloseSeconds);
+    autoCloseSeconds = AUTO_CLOSE_PRESETS[(index + 1) % AUTO_CLOSE_PRESETS.length];
+    savePreferences({ autoCloseSeconds });
+    resetInactivityTimer();
+    showMessage(autoCloseSeconds ? `Auto-close after ${autoCloseSeconds}s of inactivity` : 'Auto-close disabled');
+});
+
+resetInactivityTimer();
+
+// Opt-in DevTools console API (?console) - console calls count as activity and feed the history
+if (new URLSearchParams(location.search).has('console')) {
+    installConsoleApi(window, {
+        run: async <T>(task: () => Promise<T>): Promise<T> => {
+            // One operation at a time - each one tears down the shared crypto worker when done
+            if (isBusy || consoleOps > 0 || inflight) {
+                throw new Error('Wait for the current operation to finish');
+            }
+            consoleOps++;
+            try {
+                return await task();
+            } finally {
+                consoleOps--;
+                resetInactivityTimer();
+            }
+        },
+        copy: copyToClipboard,
+        // Same masked field as the UI; registered as in flight so Escape or clear cancels it
+        promptPassphrase: async (attempt, maxAttempts) => {
+            const ctl = new AbortController();
+            inflight = ctl;
+            try {
+                return await promptPassphrase(attempt, maxAttempts, ctl.signal);
+            } finally {
+                if (inflight === ctl) inflight = null;
+            }
+        },
+        onEnstashed: recordHistory,
+        onUnstashed: forgetHistory
+    });
+}
+
+// Fill in the selection sent by the capture bookmarklet (single message, then the channel is closed).
+// Any page can open a capture popup, so stashing (and the clipboard write after it) waits for the user.
+if (captureSession) {
+    showMessage('Receiving selection…');
+    receiveFromOpener(captureSession, 'stasher:selection').then(data => {
+        const text = typeof data?.text === 'string' ? data.text : '';
+        if (!text.trim()) {
+            showMessage('Nothing was selected on the page', true);
+            return;
+        }
+        setMultiline(/[\r\n]/.test(text), false);
+        input.value = text;
+        updateSuggestion();
+        primaryButton.focus();
+        showMessage(`Selection from ${captureSession.origin} - press enstash to stash it`);
+    }).catch(error => {
+        showMessage(error instanceof Error ? error.message : 'Could not receive the selection', true);
+    });
+}
+
+// The opener picks the receiving origin (?origin=), so always name it before the secret leaves
+if (fillSession) {
+    sendToPageButton.title = `send to ${fillSession.origin}`;
+    showMessage(`Destash a secret, then send it to ${fillSession.origin}`);
+}
+
+// Opened from a share link: offer to reveal instead of destashing on load (link previews must not burn it)
+if (pendingShareToken) {
+    revealButton.hidden = false;
+    showMessage('Someone shared a secret with you. Reveal it to destash (it can only be read once).');
+} else if (hadShareFragment) {
+    showMessage('Share link is incomplete or malformed', true);
+}
+
+updateSuggestion();
+
 // Initialize - focus input after DOM is ready
 queueMicrotask(() => {
     if (document.hasFocus?.()) {
         try {
-            input.focus();
+            (pendingShareToken ? revealButton : input).focus();
         } catch {}
     }
 });
\ No newline at end of file
@@ -4,9 +4,9 @@
  * Security Features:
  * - Nonce-based CSP with strict-dynamic (no unsafe-inline)
  * - DOM clobbering protection with frozen APIs
- * - Auto-close popup timer (30s inactivity)
+ * - Auto-close popup timer (30s inactivity by default, configurable)
  * - Trusted Types enforcement
- * - Cross-origin isolation (COEP/COOP)
+ * - Cross-origin isolation (COEP/COOP; COOP relaxed only for bookmarklet handshakes)
  * - Anti-fingerprinting window names
  */
 
@@ -14,28 +14,43 @@
 declare const __STASHER_APP_HTML__: string;
 declare const __SCRIPT_NONCE__: string;
 
+// Share links: /s/<uuid>#<key> - the key stays in the fragment and never reaches this worker
+const SHARE_PATH_REGEX = /^\/s\/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Bookmarklet handshakes need window.opener, which COOP same-origin would sever
+const OPENER_PARAMS = ['capture', 'fill'];
+
+function appResponse(keepOpener = false): Response {
+  return new Response(__STASHER_APP_HTML__, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+      'X-Frame-Options': 'DENY',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': `default-src 'none'; script-src 'nonce-${__SCRIPT_NONCE__}' 'strict-dynamic'; style-src 'unsafe-inline'; connect-src https://api.stasher.dev; worker-src blob:; object-src 'none'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'; require-trusted-types-for 'script'; upgrade-insecure-requests;`,
+      'Cross-Origin-Opener-Policy': keepOpener ? 'unsafe-none' : 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Referrer-Policy': 'no-referrer',
+      'Permissions-Policy': 'geolocation=(), microphone=(), camera=(), payment=(), usb=(), magnetometer=(), gyroscope=()',
+      'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+      'ETag': '"v2-stasher-hardened"'
+    }
+  });
+}
+
 export default {
   async fetch(request: Request): Promise<Response> {
     const url = new URL(request.url);
     
     // Serve the stasher app directly at root (with Accept header check for defense-in-depth)
     if (url.pathname === '/' && request.headers.get('Accept')?.includes('text/html')) {
-      return new Response(__STASHER_APP_HTML__, {
-        headers: {
-          'Content-Type': 'text/html; charset=utf-8',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Frame-Options': 'DENY',
-          'X-Content-Type-Options': 'nosniff',
-          'Content-Security-Policy': `default-src 'none'; script-src 'nonce-${__SCRIPT_NONCE__}' 'strict-dynamic'; style-src 'unsafe-inline'; connect-src https://api.stasher.dev; worker-src blob:; object-src 'none'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'; require-trusted-types-for 'script'; upgrade-insecure-requests;`,
-          'Cross-Origin-Opener-Policy': 'same-origin',
-          'Cross-Origin-Embedder-Policy': 'require-corp',
-          'Cross-Origin-Resource-Policy': 'cross-origin',
-          'Referrer-Policy': 'no-referrer',
-          'Permissions-Policy': 'geolocation=(), microphone=(), camera=(), payment=(), usb=(), magnetometer=(), gyroscope=()',
-          'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
-          'ETag': '"v2-stasher-hardened"'
-        }
-      });
+      return appResponse(OPENER_PARAMS.some(param => url.searchParams.has(param)));
+    }
+    
+    // Share links serve the same app; it reads the key from the fragment client-side
+    if (SHARE_PATH_REGEX.test(url.pathname) && request.headers.get('Accept')?.includes('text/html')) {
+      return appResponse();
     }
     
     // Handle root path requests that don't accept HTML
@@ -61,7 +76,7 @@ export default {
     }
     
     // 404 for everything else with structured response
-    return new Response('{"error":"Route not found","available_routes":["/"],"app":"stasher"}', {
+    return new Response('{"error":"Route not found","available_routes":["/","/s/<id>"],"app":"stasher"}', {
       status: 404,
       headers: {
         'Content-Type': 'application/json; charset=utf-8',
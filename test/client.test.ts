@@ -0,0 +1,110 @@
+// StasherClient against a stub API and a fake crypto Web Worker (run with npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StasherClient } from '../src/client.js';
+
+// Stands in for the inlined crypto worker: answers each request after a delay, in any order
+class FakeWorker {
+    static delays: number[] = [];
+    static terminated = 0;
+    onmessage: ((event: { data: unknown }) => void) | null = null;
+    onerror: ((error: unknown) => void) | null = null;
+    private alive = true;
+
+    postMessage(request: { id: string; action: string }): void {
+        const delay = FakeWorker.delays.shift() ?? 0;
+        setTimeout(() => {
+            if (!this.alive) return;
+            const result = request.action === 'decrypt'
+                ? { secret: 's3cret' }
+                : { keyBuffer: new Uint8Array(32).fill(1), payload: { iv: 'AAAAAAAAAAAAAAAA', tag: 'AAAAAAAAAAAAAAAAAAAAAA', ciphertext: 'AAAA' } };
+            this.onmessage?.({ data: { id: request.id, success: true, result } });
+        }, delay);
+    }
+
+    terminate(): void {
+        this.alive = false;
+        FakeWorker.terminated++;
+    }
+}
+
+(globalThis as any).Worker = FakeWorker;
+(globalThis as any).__CRYPTO_WORKER_CODE__ = '/* fake */';
+
+// Stores every created stash under a fresh ID
+const stubFetch: typeof fetch = async (input, init) => {
+    const path = new URL(String(input)).pathname;
+    if (path === '/enstash') {
+        return new Response(JSON.stringify({ id: crypto.randomUUID() }));
+    }
+    return new Response(JSON.stringify({ iv: 'AAAAAAAAAAAAAAAA', tag: 'AAAAAAAAAAAAAAAAAAAAAA', ciphertext: 'AAAA' }));
+};
+
+test('overlapping operations share the worker until the last one finishes', async () => {
+    const client = new StasherClient({ baseUrl: 'https://api.example', fetch: stubFetch });
+    const other = new StasherClient({ baseUrl: 'https://api.example', fetch: stubFetch });
+    FakeWorker.terminated = 0;
+    // The first encrypt answers quickly, the second only after the first call has released
+    FakeWorker.delays = [5, 50];
+
+    const [fast, slow] = await Promise.all([client.enstash('one'), other.enstash('two')]);
+    assert.ok(fast && slow);
+    assert.equal(FakeWorker.terminated, 1);
+});
+
+test('worker is released after each operation', async () => {
+    const client = new StasherClient({ baseUrl: 'https://api.example', fetch: stubFetch });
+    FakeWorker.terminated = 0;
+    const token = await client.enstash('one');
+    assert.equal(FakeWorker.terminated, 1);
+    assert.equal(await client.destash(token), 's3cret');
+    assert.equal(FakeWorker.terminated, 2);
+    // A failed operation releases too
+    await assert.rejects(client.enstash('   '), { code: 'invalid_input' });
+    FakeWorker.delays = [20];
+    await Promise.all([client.enstash('two'), assert.rejects(client.destash('not a token'), { code: 'invalid_input' })]);
+    assert.equal(FakeWorker.terminated, 3);
+});
+
+// Keeps stashes under the IDs the client sends, like a server that supports bindId
+function memoryApi() {
+    const stored = new Set<string>();
+    const fetch: typeof globalThis.fetch = async (input, init) => {
+        const [, op, id] = new URL(String(input)).pathname.split('/');
+        if (op === 'enstash') {
+            const body = JSON.parse(String(init?.body));
+            const stashId = body.id ?? crypto.randomUUID();
+            stored.add(stashId);
+            return new Response(JSON.stringify({ id: stashId }));
+        }
+        if (op === 'unstash' && stored.delete(id)) {
+            return new Response(JSON.stringify({ message: `Secret deleted: ${id}` }));
+        }
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404 });
+    };
+    return { stored, fetch };
+}
+
+test('unstashing a bare manifest ID deletes the parts too', async () => {
+    const api = memoryApi();
+    const client = new StasherClient({ baseUrl: 'https://api.example', fetch: api.fetch });
+    const token = await client.enstashFile({ name: 'big.bin', type: '', bytes: new Uint8Array(30000) }, { bindId: true });
+    assert.equal(api.stored.size, 4); // 3 parts + manifest
+    const manifestId = token.split(':')[1];
+
+    const message = await client.unstash(manifestId);
+    assert.match(message, /\(3 parts\)$/);
+    assert.equal(api.stored.size, 0);
+});
+
+test('unstashing a bare ID of a plain stash deletes just that stash', async () => {
+    const api = memoryApi();
+    const client = new StasherClient({ baseUrl: 'https://api.example', fetch: api.fetch });
+    const token = await client.enstash('one');
+    await client.enstash('two');
+    const id = token.split(':')[0];
+
+    assert.doesNotMatch(await client.unstash(id), /part/);
+    assert.equal(api.stored.size, 1);
+    await assert.rejects(client.unstash(id), { code: 'not_found' });
+});
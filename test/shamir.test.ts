@@ -0,0 +1,137 @@
+// Shamir share math - known answers plus split/combine round trips (run with npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    gfMul,
+    gfDiv,
+    evaluateShares,
+    interpolateSecret,
+    splitSecret,
+    combineSecret,
+    parseShareText,
+    MAX_SPLIT_SECRET_BYTES
+} from '../src/shamir.js';
+
+// Known answers computed with an independent bitwise GF(2^8) implementation
+const KNOWN_SECRET = [0x4b, 0x41, 0x54, 0x21]; // 'KAT!'
+const KNOWN_COEFFICIENTS = [[0x01, 0x02, 0x03, 0x04], [0xa5, 0x5a, 0xff, 0x10]];
+const KNOWN_SHARES = [
+    [0xef, 0x19, 0xa8, 0x35],
+    [0xeb, 0x36, 0x83, 0x69],
+    [0x4f, 0x6e, 0x7f, 0x7d],
+    [0xf1, 0x9e, 0x31, 0x2a],
+    [0x55, 0xc6, 0xcd, 0x3e]
+];
+
+function knownShares() {
+    return evaluateShares(
+        Uint8Array.from(KNOWN_SECRET),
+        KNOWN_COEFFICIENTS.map(c => Uint8Array.from(c)),
+        KNOWN_SHARES.length
+    );
+}
+
+// Every k-element subset of [0, n)
+function subsets(n: number, k: number): number[][] {
+    if (k === 0) return [[]];
+    if (n < k) return [];
+    return [...subsets(n - 1, k - 1).map(s => [...s, n - 1]), ...subsets(n - 1, k)];
+}
+
+test('field arithmetic matches FIPS-197 4.2', () => {
+    assert.equal(gfMul(0x57, 0x83), 0xc1);
+    assert.equal(gfMul(0x53, 0xca), 0x01);
+    assert.equal(gfMul(0x57, 0), 0);
+    assert.equal(gfDiv(0xc1, 0x83), 0x57);
+    assert.throws(() => gfDiv(1, 0));
+});
+
+test('every nonzero element has an inverse', () => {
+    for (let a = 1; a < 256; a++) {
+        assert.equal(gfMul(a, gfDiv(1, a)), 1, `inverse of ${a}`);
+    }
+});
+
+test('3-of-5 split with fixed coefficients gives the known shares', () => {
+    const shares = knownShares();
+    assert.deepEqual(shares.map(share => share.x), [1, 2, 3, 4, 5]);
+    assert.deepEqual(shares.map(share => Array.from(share.y)), KNOWN_SHARES);
+});
+
+test('any 3 of the known shares rebuild the secret', () => {
+    const shares = knownShares();
+    for (const subset of subsets(5, 3)) {
+        assert.deepEqual(Array.from(interpolateSecret(subset.map(i => shares[i]))), KNOWN_SECRET, `shares ${subset}`);
+    }
+    // Order does not matter
+    assert.deepEqual(Array.from(interpolateSecret([shares[4], shares[3], shares[2]])), KNOWN_SECRET);
+});
+
+test('2 of the known shares do not rebuild the secret', () => {
+    const shares = knownShares();
+    assert.notDeepEqual(Array.from(interpolateSecret([shares[0], shares[1]])), KNOWN_SECRET);
+});
+
+test('split and combine round trip for every threshold subset', async () => {
+    const secret = 'root: hunter2 ✓\nline two';
+    for (const [shares, threshold] of [[2, 2], [3, 2], [5, 3], [10, 10]]) {
+        const texts = await splitSecret(secret, shares, threshold);
+        assert.equal(texts.length, shares);
+        for (const subset of subsets(shares, threshold).slice(0, 20)) {
+            assert.equal(await combineSecret(subset.map(i => texts[i])), secret, `${threshold} of ${shares}: ${subset}`);
+        }
+        // More shares than needed are fine
+        assert.equal(await combineSecret(texts), secret);
+    }
+});
+
+test('largest splittable secret still round trips', async () => {
+    const secret = 'x'.repeat(MAX_SPLIT_SECRET_BYTES);
+    const texts = await splitSecret(secret, 3, 2);
+    assert.ok(texts.every(text => text.length <= 4096));
+    assert.equal(await combineSecret([texts[0], texts[2]]), secret);
+});
+
+test('share text carries the split parameters', async () => {
+    const texts = await splitSecret('s3cret', 5, 3);
+    const parsed = texts.map(parseShareText);
+    assert.deepEqual(parsed.map(share => share.x), [1, 2, 3, 4, 5]);
+    assert.ok(parsed.every(share => share.threshold === 3 && share.shares === 5 && share.group === parsed[0].group));
+});
+
+test('below-threshold input is refused', async () => {
+    const texts = await splitSecret('s3cret', 5, 3);
+    await assert.rejects(combineSecret(texts.slice(0, 2)), { code: 'invalid_input', message: /Need 3 different shares, got 2/ });
+    await assert.rejects(combineSecret([texts[0], texts[1], texts[1]]), { code: 'invalid_input', message: /got 2/ });
+    await assert.rejects(combineSecret([]), { code: 'invalid_input' });
+});
+
+test('shares from different splits are refused', async () => {
+    const a = await splitSecret('s3cret', 3, 2);
+    const b = await splitSecret('s3cret', 3, 2);
+    await assert.rejects(combineSecret([a[0], b[1]]), { code: 'invalid_input', message: /different splits/ });
+});
+
+test('a tampered share fails the check', async () => {
+    const texts = await splitSecret('s3cret', 3, 2);
+    // A middle character: the last one may only carry unused padding bits
+    const at = texts[1].length - 6;
+    const tampered = texts[1].slice(0, at) + (texts[1][at] === 'A' ? 'B' : 'A') + texts[1].slice(at + 1);
+    await assert.rejects(combineSecret([texts[0], tampered]), { code: 'invalid_input', message: /do not rebuild/ });
+});
+
+test('malformed share text is refused', () => {
+    assert.throws(() => parseShareText('not a share'), { code: 'invalid_input' });
+    assert.throws(() => parseShareText('stasher-share.1.0123456789abcdef.3.2.1.AAAAAAAAAAAAAA'), { message: /Malformed/ });
+    assert.throws(() => parseShareText('stasher-share.1.0123456789abcdef.2.3.4.AAAAAAAAAAAAAA'), { message: /Malformed/ });
+    assert.throws(() => parseShareText('stasher-share.1.0123456789abcdef.2.3.1.AAAA'), { message: /Malformed/ });
+});
+
+test('split parameters are validated', async () => {
+    await assert.rejects(splitSecret('s3cret', 1, 1), { code: 'invalid_input' });
+    await assert.rejects(splitSecret('s3cret', 11, 2), { code: 'invalid_input' });
+    await assert.rejects(splitSecret('s3cret', 3, 4), { code: 'invalid_input' });
+    await assert.rejects(splitSecret('s3cret', 3, 1), { code: 'invalid_input' });
+    await assert.rejects(splitSecret('', 3, 2), { code: 'invalid_input' });
+    await assert.rejects(splitSecret('x'.repeat(MAX_SPLIT_SECRET_BYTES + 1), 3, 2), { code: 'invalid_input' });
+});